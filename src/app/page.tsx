@@ -1,118 +1,2633 @@
 'use client';
 
-import { useEffect, useRef, useState, useCallback } from 'react';
+import { Fragment, useEffect, useRef, useState, useCallback, useMemo } from 'react';
 import * as Tone from 'tone';
 
 // =============================================================================
 // TYPES
 // =============================================================================
-type BuildingType = 'empty' | 'grass' | 'house' | 'shop' | 'market' | 'park' | 'university';
+type BuildingType =
+  | 'empty' | 'grass' | 'road' | 'house' | 'shop' | 'market' | 'park' | 'university'
+  | 'tennis' | 'school' | 'fire_station' | 'police_station' | 'hospital' | 'watertower' | 'factory' | 'powerplant'
+  | 'stadium' | 'airport';
+
+// RCI zones, named after the tool categories whose buildings grow in them
+type ZoneType = 'residential' | 'commercial' | 'industrial';
+type ZoneTool = `zone_${ZoneType}` | 'dezone';
+
+// A building is active unless it is still being built or has been abandoned;
+// in either state it houses, employs, supplies and earns nothing
+type BuildingState = 'construction' | 'abandoned';
 
 interface Tile {
   building: BuildingType;
   occupied: boolean; // true if this tile is part of a multi-tile building
   parentX?: number;  // reference to the main tile of the building
   parentY?: number;
-  placedAt?: number; // timestamp for animation
+  placedAt?: number; // timestamp for animation, also shown as the build date
+  cost?: number;     // what the player paid for the building
+  flipped?: boolean; // sprite mirrored horizontally, like Tile.setFlip in the Phaser exports
+  zone?: ZoneType;   // painted zone; it stays under buildings and outlives them
+  state?: BuildingState;
+  neglect?: number;  // ticks in a row the building has been neglected, up to ABANDON_TICKS
+  variant?: string;  // atlas frame id ("<sheet>/<frame>") drawn instead of the theme sprite
+  level?: number;    // density level, 1 (as placed) up to the building's DENSITY_LEVELS
+  prosperity?: number; // ticks in a row the building has met its next level's requirements
+}
+
+interface Tool {
+  type: BuildingType | ZoneTool | 'bulldoze' | 'move';
+  name: string;
+  cost: number;
+  sprite: BuildingType;
+  size: number; // 1 = 1x1, 2 = 2x2
+  category: 'residential' | 'commercial' | 'industrial' | 'services' | 'parks' | 'transport' | 'tools';
+  variant?: string; // atlas frame the tool places, picked in the sidebar
+}
+
+interface Theme {
+  id: string;
+  name: string;
+  path: string;
+}
+
+interface BuildingStats {
+  residents: number;         // population housed by the building
+  baseIncome: number;        // flat income per tick
+  incomePerResident: number; // extra income per resident within range
+  maxCustomers: number;      // cap on residents counted towards income
+  range: number;             // how far (in tiles) around the footprint the building reaches
+  happiness: number;         // happiness added to homes within range (negative for pollution)
+  upkeep: number;            // cost per tick
+  jobs: number;              // workers employed, which drives zone demand
+}
+
+type ServiceType = 'police' | 'fire' | 'health' | 'education';
+
+interface ServiceInfo {
+  id: ServiceType;
+  name: string;
+  color: string; // "r, g, b" for the overlay tint
+  buildings: BuildingType[];
+}
+
+// One service across the map, per tile (index y * GRID_SIZE + x): coverage from
+// 0 to 1 and the happiness that gives homes there
+interface ServiceCoverage {
+  coverage: Float32Array;
+  happiness: Float32Array;
+}
+
+type UtilityType = 'power' | 'water';
+
+interface UtilityInfo {
+  id: UtilityType;
+  name: string;
+  icon: string; // drawn over buildings that go without
+  supply: Partial<Record<BuildingType, number>>;
+}
+
+// One utility across the whole map; unserved holds "x,y" of buildings left without
+interface UtilityNetwork {
+  supply: number;
+  demand: number;
+  unserved: Set<string>;
+}
+
+// A density level a building can grow into. Residents, jobs and customers are
+// multiplied by the factor; frames are atlas frame ids it may be drawn with.
+interface DensityLevel {
+  name: string;
+  factor: number;
+  frames: string[];
+}
+
+// What a building's surroundings need before it can grow a level
+interface LevelRequirement {
+  landValue: number; // 0-100
+  services: number;  // average service coverage (0-1)
+  happiness: number; // 0-100
+}
+
+interface BuildingReport {
+  x: number;
+  y: number;
+  type: BuildingType;
+  connected: boolean; // touches a road
+  happiness: number;  // homes: how happy residents are (0-100)
+  homesServed: number; // amenities and polluters: homes within reach of the happiness effect
+  residents: number;
+  income: number;
+  upkeep: number;
+  coverage?: Record<ServiceType, number>; // homes: how well each service reaches them (0-1)
+  unserved: UtilityType[]; // utilities the building needs but isn't getting
+  neglect: string[];       // why the building is heading for (or stuck in) abandonment
+  landValue: number;       // 0-100, from amenities, pollution and services around the building
+  level: number;
+  upgrade?: string[];      // what keeps it from its next density level; undefined at the top
+}
+
+interface ZoneInfo {
+  id: ZoneType;
+  name: string;
+  letter: string;
+  color: string; // "r, g, b" for the ground tint
+}
+
+interface EconomyReport {
+  population: number;
+  happiness: number; // average over all residents (0-100)
+  income: number;
+  upkeep: number;
+  net: number;
+  buildings: BuildingReport[];
+  coverage: Record<ServiceType, ServiceCoverage>;
+  utilities: Record<UtilityType, { supply: number; demand: number; unserved: number }>;
+  demand: Record<ZoneType, number>; // -1 (oversupplied) to 1 (wanted)
+  jobs: number;
+}
+
+interface SavedBuilding {
+  type: string;
+  x: number;
+  y: number;
+  placedAt?: number;
+  cost?: number;
+  flipped?: boolean;
+  state?: BuildingState;
+  variant?: string;
+  level?: number;
+}
+
+// A tile's zone before and after painting; undefined is unzoned
+interface ZoneChange {
+  x: number;
+  y: number;
+  from?: ZoneType;
+  to?: ZoneType;
+}
+
+// One undoable change: apply removes `removed`, places `placed`, rezones
+// `zoned` and adds moneyDelta; undo does the reverse
+interface HistoryEntry {
+  placed: SavedBuilding[];
+  removed: SavedBuilding[];
+  zoned?: ZoneChange[];
+  moneyDelta: number;
+}
+
+// One step of the timelapse: what a placement, bulldoze, move, zoning, growth,
+// undo or redo changed, and when. Replaying the log from an empty map rebuilds
+// the city.
+interface TimelapseEntry {
+  time: number;
+  placed: SavedBuilding[];
+  removed: SavedBuilding[];
+  zoned?: ZoneChange[];
+}
+
+interface SaveData {
+  version: number;
+  name: string;
+  savedAt: number;
+  money: number;
+  themeId: string;
+  camera: { x: number; y: number };
+  zoom: number;
+  buildings: SavedBuilding[];
+  zones: Array<{ x: number; y: number; zone: ZoneType }>;
+  timelapse: TimelapseEntry[];
+}
+
+interface CityExport {
+  format: string;
+  version: number;
+  exportedAt: number;
+  money: number;
+  themeId: string;
+  grid: Tile[][];
+}
+
+interface SaveSlot {
+  id: string;
+  name: string;
+  savedAt: number;
+  thumbnail: string;
+}
+
+interface DragPlacement {
+  x: number;
+  y: number;
+  status: 'place' | 'skip' | 'blocked' | 'unaffordable';
+}
+
+interface DragPlan {
+  placements: DragPlacement[];
+  cost: number;
+}
+
+interface ZoningPlan {
+  changes: ZoneChange[];
+  cost: number;
+  unaffordable: number; // tiles that money doesn't cover
+}
+
+interface DemolitionPlan {
+  buildings: SavedBuilding[];
+  cost: number;
+  unaffordable: number; // buildings in the area that money doesn't cover
+}
+
+// Keyboard shortcut, and the key combos bound to each one. Combos are written
+// like 'Ctrl+Shift+Z': modifiers first, letters upper case.
+interface KeyAction {
+  id: string;
+  label: string;
+  defaultKeys: string[];
+}
+
+type KeyBindings = Record<string, string[]>;
+
+// A touch gesture on the canvas. A finger starts as a 'press' and becomes a
+// tap, a long press, a pan or a paint once it lifts, waits or moves past TAP_SLOP.
+interface TouchGesture {
+  mode: 'press' | 'pan' | 'paint' | 'pinch' | 'done';
+  startX: number; // client px
+  startY: number;
+  startTile: { x: number; y: number } | null;
+  longPress: number; // timeout id
+  pinch?: {
+    distance: number;
+    centerX: number; // canvas px
+    centerY: number;
+    camera: { x: number; y: number };
+    zoom: number;
+  };
+}
+
+// Visible part of the map as bounds on x + y and x - y, which is what a
+// screen rectangle looks like in iso grid coordinates
+interface VisibleRange {
+  minSum: number;
+  maxSum: number;
+  minDiff: number;
+  maxDiff: number;
+}
+
+interface GroundChunk {
+  canvas: HTMLCanvasElement;
+  signature: string;
+  left: number; // map-space position of the canvas (gridToScreen with no offset)
+  top: number;
+}
+
+interface ImageExportOptions {
+  scale: number;
+  background: boolean; // false leaves everything around the map transparent
+  wholeMap: boolean;   // false crops to the built area
+}
+
+interface SortedBuilding {
+  x: number;
+  y: number;
+  size: number;
+  type: BuildingType;
+  placedAt?: number;
+  flipped?: boolean;
+  state?: BuildingState;
+  variant?: string;
+  level?: number;
+  depth: number;
+}
+
+// One frame of a sprite sheet atlas as written in its JSON definition. The
+// anchor is the point of the trimmed frame, as fractions of its size, that
+// stands on the front corner of the footprint. Frames without a building are
+// decoration (vehicles, fields, landmarks with no matching building) and are
+// described but not loaded.
+interface AtlasFrameDefinition {
+  name: string;
+  building?: string;
+  frame: { x: number; y: number; w: number; h: number };
+  anchor?: { x: number; y: number };
+  footprint?: number; // must match the building's size, so saves stay valid
+  state?: string;     // construction or abandoned art rather than a placeable variant
+  variant?: string;   // with a state: the variant ("<sheet>/<frame>") the art belongs to
+}
+
+interface AtlasDefinition {
+  image: string; // sheet in SPRITE_SHEET_PATH
+  frames: Record<string, AtlasFrameDefinition>;
+}
+
+interface AtlasFrame {
+  id: string; // "<sheet>/<frame>"
+  name: string;
+  building: BuildingType;
+  state?: BuildingState;
+  variant?: string;
+  image: HTMLCanvasElement;
+  anchor: { x: number; y: number };
+  thumbnail: string; // small data URL for the style picker
+}
+
+// Every loaded frame, with lookups for the draw pass and the style picker
+interface SpriteAtlas {
+  frames: Record<string, AtlasFrame>;
+  variants: Partial<Record<BuildingType, AtlasFrame[]>>;
+  states: Record<BuildingState, Partial<Record<BuildingType, AtlasFrame>>>;
+  variantStates: Record<string, Partial<Record<BuildingState, AtlasFrame>>>;
+}
+
+// Camera transform shared by drawing, picking and particles. gridToScreen gives
+// map pixels; the zoom then scales them around the pivot (the canvas centre).
+interface CameraView {
+  offsetX: number;
+  offsetY: number;
+  zoom: number;
+  pivotX: number;
+  pivotY: number;
+}
+
+// Particles live in map pixels (gridToScreen without the camera offset), so
+// they stay put when the camera pans or zooms
+interface Particle {
+  x: number;
+  y: number;
+  vx: number;
+  vy: number;
+  life: number;
+  maxLife: number;
+  color: string;
+  size: number;
+}
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+const GRID_SIZE = 128;
+const TILE_WIDTH = 64;
+const TILE_HEIGHT = 32;
+const GRASS_SCALE = 0.22;
+const GROUND_CHUNK_SIZE = 16; // ground is cached in 16x16 tile chunks
+const GROUND_CHUNKS = Math.ceil(GRID_SIZE / GROUND_CHUNK_SIZE);
+const BUILDING_CULL_MARGIN = 24; // tiles; tall sprites reach far above their footprint
+const MINIMAP_SCALE = 4 / TILE_WIDTH; // each tile is a 4x2 pixel diamond on the minimap
+const STARTING_MONEY = 100000;
+const TICK_INTERVAL = 5000; // 5 seconds, same as the Phaser exports
+const BASE_HAPPINESS = 50;  // happiness of a home with no amenities nearby
+const MIN_ZOOM = 0.3;
+const MAX_ZOOM = 3;
+const ZOOM_STEP = 1.15;      // per wheel notch
+const ZOOM_EASING = 0.25;    // fraction of the remaining zoom covered each frame
+const PAN_FRICTION = 0.9;    // velocity kept per 16ms once a pan is released
+const MIN_PAN_SPEED = 0.02;  // px/ms; slower pans stop dead
+const TAP_SLOP = 10;         // px a finger may wander before a touch becomes a drag
+const LONG_PRESS_MS = 500;
+
+// Saves store a building list rather than raw tiles, so footprints are rebuilt
+// from the current TOOLS on load. Bump SAVE_VERSION when the format changes.
+const SAVE_VERSION = 3; // 2: timelapse log, 3: zones
+const SAVE_INDEX_KEY = 'newCity_saves';
+const SAVE_KEY_PREFIX = 'newCity_save_';
+const AUTOSAVE_ID = 'autosave';
+const MAX_HISTORY = 200;
+const EXPORT_FORMAT = 'new-city';
+const EXPORT_VERSION = 1;
+const IMAGE_EXPORT_SCALES = [1, 2, 4];
+const MAX_IMAGE_SIDE = 16384;           // largest canvas side browsers reliably allocate
+const MAX_IMAGE_AREA = 16384 * 8192;
+const KEY_BINDINGS_KEY = 'newCity_keyBindings';
+const TIMELAPSE_SPEEDS = [1, 2, 5, 10, 25]; // steps per second
+const TIMELAPSE_FPS = 30;
+const MAX_TIMELAPSE_STEPS = 1000; // saved steps; older ones fold into the first
+const KEY_PAN_SPEED = 0.8; // map px per ms, times the zoom, while a pan key is held
+
+const THEMES: Theme[] = [
+  { id: 'cyberpunk', name: 'Cyberpunk City', path: '/assets/cyberpunk_city_Cyberpunk_City/assets' },
+  { id: 'fantasy', name: 'Fantasy Kingdom', path: '/assets/fantasy_kingdom_Fantasy_Kingdom/assets' },
+  { id: 'japanese', name: 'Japanese Town', path: '/assets/japanese_town_Japanese_Town/assets' },
+  { id: 'medieval', name: 'Medieval Village', path: '/assets/medieval_village_Medieval_Village/assets' },
+  { id: 'space', name: 'Space Colony', path: '/assets/space_colony_Space_Colony/assets' },
+  { id: 'steampunk', name: 'Steampunk City', path: '/assets/steampunk_city_Steampunk_City/assets' },
+  { id: 'tropical', name: 'Tropical Resort', path: '/assets/tropical_resort_Tropical_Resort/assets' },
+  { id: 'underwater', name: 'Underwater City', path: '/assets/underwater_city_Underwater_City/assets' },
+  { id: 'wildwest', name: 'Wild West Town', path: '/assets/wild_west_town_Wild_West_Town/assets' },
+  { id: 'candy', name: 'Candy Land', path: '/assets/candy_land_Candy_Land/assets' },
+];
+
+// Building sizes and costs - bigger = more expensive, creates interesting tiling
+const TOOLS: Tool[] = [
+  // Tiny 1x1 - houses are the smallest unit
+  { type: 'house', name: 'House', cost: 100, sprite: 'house', size: 1, category: 'residential' },
+  // Small 2x2 - parks and shops
+  { type: 'park', name: 'Park', cost: 300, sprite: 'park', size: 2, category: 'parks' },
+  { type: 'shop', name: 'Shop', cost: 400, sprite: 'shop', size: 2, category: 'commercial' },
+  // Medium 3x3 - markets
+  { type: 'market', name: 'Market', cost: 1200, sprite: 'market', size: 3, category: 'industrial' },
+  // Large 4x4 - university is the biggest
+  { type: 'university', name: 'University', cost: 3000, sprite: 'university', size: 4, category: 'services' },
+  // Services, industry and recreation drawn from the shared /assets/buildings art
+  { type: 'tennis', name: 'Tennis Court', cost: 500, sprite: 'tennis', size: 2, category: 'parks' },
+  { type: 'school', name: 'School', cost: 1500, sprite: 'school', size: 2, category: 'services' },
+  { type: 'fire_station', name: 'Fire Station', cost: 1800, sprite: 'fire_station', size: 2, category: 'services' },
+  { type: 'police_station', name: 'Police Station', cost: 1800, sprite: 'police_station', size: 2, category: 'services' },
+  { type: 'hospital', name: 'Hospital', cost: 4000, sprite: 'hospital', size: 3, category: 'services' },
+  { type: 'watertower', name: 'Water Tower', cost: 600, sprite: 'watertower', size: 1, category: 'industrial' },
+  { type: 'factory', name: 'Factory', cost: 2000, sprite: 'factory', size: 3, category: 'industrial' },
+  { type: 'powerplant', name: 'Power Plant', cost: 5000, sprite: 'powerplant', size: 3, category: 'industrial' },
+  { type: 'stadium', name: 'Stadium', cost: 8000, sprite: 'stadium', size: 4, category: 'parks' },
+  { type: 'airport', name: 'Airport', cost: 10000, sprite: 'airport', size: 4, category: 'transport' },
+  // Roads are drawn procedurally, drag to lay a run
+  { type: 'road', name: 'Road', cost: 10, sprite: 'road', size: 1, category: 'transport' },
+  // Zones are painted per tile; buildings of the same category grow on them
+  { type: 'zone_residential', name: 'Residential Zone', cost: 5, sprite: 'grass', size: 1, category: 'residential' },
+  { type: 'zone_commercial', name: 'Commercial Zone', cost: 5, sprite: 'grass', size: 1, category: 'commercial' },
+  { type: 'zone_industrial', name: 'Industrial Zone', cost: 5, sprite: 'grass', size: 1, category: 'industrial' },
+  { type: 'dezone', name: 'Dezone', cost: 0, sprite: 'grass', size: 1, category: 'tools' },
+  // Tools
+  { type: 'move', name: 'Move', cost: 0, sprite: 'grass', size: 1, category: 'tools' },
+  { type: 'bulldoze', name: 'Bulldoze', cost: 5, sprite: 'grass', size: 1, category: 'tools' },
+];
+
+// Flat colours used for thumbnails and the minimap
+const BUILDING_COLORS: Record<string, string> = {
+  grass: '#3f6212',
+  road: '#6b7280',
+  house: '#f59e0b',
+  shop: '#3b82f6',
+  market: '#8b5cf6',
+  park: '#22c55e',
+  university: '#ef4444',
+  tennis: '#4ade80',
+  school: '#fb923c',
+  fire_station: '#dc2626',
+  police_station: '#1d4ed8',
+  hospital: '#f1f5f9',
+  watertower: '#38bdf8',
+  factory: '#78716c',
+  powerplant: '#facc15',
+  stadium: '#a855f7',
+  airport: '#94a3b8',
+};
+
+// Theme folders only have the original buildings. Any other sprite a theme
+// lacks is loaded from the shared art here (file name per sprite), and a
+// building with no sprite at all is drawn as a coloured block.
+const SHARED_SPRITE_PATH = '/assets/buildings';
+const SHARED_SPRITES: Record<string, string> = {
+  tennis: 'tennis',
+  school: 'school',
+  fire_station: 'fire_station',
+  police_station: 'police_station',
+  hospital: 'hospital',
+  watertower: 'watertower',
+  factory: 'industrial',
+  powerplant: 'powerplant',
+  stadium: 'stadium',
+  airport: 'airport',
+};
+const SPRITE_TYPES = ['grass', ...TOOLS.map(t => t.sprite).filter(sprite => sprite !== 'grass' && sprite !== 'road')];
+const SPRITE_BASE_WIDTH = 163; // drawn width of a 1x1 sprite; art of any resolution is scaled to it
+
+// Simulation values per building - tuned so a busy shop earns back its cost in
+// about a minute, while parks and universities are a steady drain that pays
+// off through happier residents spending more
+const BUILDING_STATS: Record<string, BuildingStats> = {
+  house: { residents: 4, baseIncome: 0, incomePerResident: 0, maxCustomers: 0, range: 0, happiness: 0, upkeep: 0, jobs: 0 },
+  shop: { residents: 0, baseIncome: 2, incomePerResident: 0.5, maxCustomers: 80, range: 6, happiness: 0, upkeep: 0, jobs: 6 },
+  market: { residents: 0, baseIncome: 10, incomePerResident: 0.75, maxCustomers: 240, range: 10, happiness: 0, upkeep: 0, jobs: 20 },
+  park: { residents: 0, baseIncome: 0, incomePerResident: 0, maxCustomers: 0, range: 4, happiness: 15, upkeep: 4, jobs: 1 },
+  university: { residents: 0, baseIncome: 0, incomePerResident: 0, maxCustomers: 0, range: 8, happiness: 10, upkeep: 30, jobs: 15 },
+  // Services cover a radius around them; the bigger ones reach further
+  tennis: { residents: 0, baseIncome: 0, incomePerResident: 0, maxCustomers: 0, range: 5, happiness: 8, upkeep: 3, jobs: 1 },
+  school: { residents: 0, baseIncome: 0, incomePerResident: 0, maxCustomers: 0, range: 8, happiness: 12, upkeep: 15, jobs: 8 },
+  fire_station: { residents: 0, baseIncome: 0, incomePerResident: 0, maxCustomers: 0, range: 10, happiness: 8, upkeep: 20, jobs: 6 },
+  police_station: { residents: 0, baseIncome: 0, incomePerResident: 0, maxCustomers: 0, range: 10, happiness: 8, upkeep: 20, jobs: 6 },
+  hospital: { residents: 0, baseIncome: 0, incomePerResident: 0, maxCustomers: 0, range: 12, happiness: 18, upkeep: 40, jobs: 20 },
+  stadium: { residents: 0, baseIncome: 40, incomePerResident: 0.25, maxCustomers: 400, range: 14, happiness: 20, upkeep: 60, jobs: 12 },
+  // Utilities bill the homes they reach; industry earns but pollutes its surroundings
+  watertower: { residents: 0, baseIncome: 0, incomePerResident: 0.3, maxCustomers: 150, range: 10, happiness: 0, upkeep: 5, jobs: 2 },
+  powerplant: { residents: 0, baseIncome: 0, incomePerResident: 0.5, maxCustomers: 600, range: 20, happiness: 0, upkeep: 50, jobs: 10 },
+  factory: { residents: 0, baseIncome: 25, incomePerResident: 0, maxCustomers: 0, range: 5, happiness: -10, upkeep: 5, jobs: 30 },
+  airport: { residents: 0, baseIncome: 60, incomePerResident: 0.5, maxCustomers: 600, range: 30, happiness: 0, upkeep: 40, jobs: 40 },
+};
+
+// Services and the buildings that provide them. A service building's happiness
+// and range in BUILDING_STATS apply through coverage, which fades with distance;
+// overlapping buildings of one service don't stack, a tile gets the best on offer.
+const SERVICES: ServiceInfo[] = [
+  { id: 'police', name: 'Police', color: '59, 130, 246', buildings: ['police_station'] },
+  { id: 'fire', name: 'Fire', color: '239, 68, 68', buildings: ['fire_station'] },
+  { id: 'health', name: 'Health', color: '236, 72, 153', buildings: ['hospital'] },
+  { id: 'education', name: 'Education', color: '250, 204, 21', buildings: ['school', 'university'] },
+];
+const SERVICE_GROWTH = 0.5; // share of a home's residents that only move in once every service covers it
+
+// Utilities: plants and towers feed a network that runs through touching
+// buildings and roads, and each building on it draws its share until the
+// capacity runs out, nearest first
+const UTILITIES: UtilityInfo[] = [
+  { id: 'power', name: 'Power', icon: '⚡', supply: { powerplant: 150 } },
+  { id: 'water', name: 'Water', icon: '💧', supply: { watertower: 60 } },
+];
+const UTILITY_DEMAND: Partial<Record<BuildingType, Record<UtilityType, number>>> = {
+  house: { power: 2, water: 2 },
+  shop: { power: 3, water: 1 },
+  market: { power: 6, water: 2 },
+  university: { power: 12, water: 8 },
+  park: { power: 0, water: 2 },
+  tennis: { power: 1, water: 1 },
+  school: { power: 6, water: 4 },
+  fire_station: { power: 4, water: 8 },
+  police_station: { power: 4, water: 2 },
+  hospital: { power: 12, water: 8 },
+  stadium: { power: 20, water: 10 },
+  factory: { power: 15, water: 6 },
+  airport: { power: 25, water: 10 },
+};
+const UTILITY_PENALTY = 0.5; // share of residents and income lost per missing utility the city has a plant for
+const ALERT_BLINK_MS = 500;
+
+// Zone demand compares jobs with the workers and shoppers the population brings.
+// DEMAND_BASE is what an empty town wants, so the first homes have somewhere to go.
+const ZONES: ZoneInfo[] = [
+  { id: 'residential', name: 'Residential', letter: 'R', color: '34, 197, 94' },
+  { id: 'commercial', name: 'Commercial', letter: 'C', color: '59, 130, 246' },
+  { id: 'industrial', name: 'Industrial', letter: 'I', color: '234, 179, 8' },
+];
+const WORKFORCE_SHARE = 0.5;  // residents who hold a job
+const COMMERCE_SHARE = 0.2;   // residents' worth of shop jobs the town supports; industry takes the rest of the workforce
+const DEMAND_BASE = 20;
+const GROWTH_PER_TICK = 3;    // buildings a zone grows per tick at full demand
+
+// New buildings spend CONSTRUCTION_MS being built. One neglected for
+// ABANDON_TICKS ticks in a row is abandoned, and comes back once it has gone
+// as many ticks without neglect.
+const CONSTRUCTION_MS = 15000;
+const ABANDON_TICKS = 6;
+const NEGLECT_HAPPINESS = 25; // homes below this are unhappy enough to leave
+
+// Zone buildings grow denser over time. The first level is the building as
+// placed; the frames of the others come from the dense sheets, one picked per
+// lot so a street of apartments doesn't repeat.
+const DENSITY_LEVELS: Partial<Record<BuildingType, DensityLevel[]>> = {
+  house: [
+    { name: 'House', factor: 1, frames: [] },
+    { name: 'Townhouse', factor: 2, frames: ['harry_dense/townhouse', 'harry_dense/gabled_manor', 'harry_dense/manor_house', 'dense/brick_lofts'] },
+    { name: 'Apartments', factor: 4, frames: ['dense/apartment_block', 'dense/stacked_blocks', 'dense/colour_blocks', 'dense/waterfront_flats', 'dense/terraced_gardens'] },
+  ],
+  shop: [
+    { name: 'Shop', factor: 1, frames: [] },
+    { name: 'Offices', factor: 2, frames: ['dense/office_podium', 'dense/civic_bank', 'dense/hotel'] },
+    { name: 'Office Towers', factor: 3, frames: ['dense/glass_office', 'dense/office_cluster', 'dense/office_trio', 'dense/art_deco_tower'] },
+  ],
+  market: [
+    { name: 'Market', factor: 1, frames: [] },
+    { name: 'Mall', factor: 2, frames: ['dense/mall'] },
+    { name: 'Convention Centre', factor: 3, frames: ['dense/convention_centre'] },
+  ],
+  factory: [
+    { name: 'Factory', factor: 1, frames: [] },
+    { name: 'Heavy Industry', factor: 2, frames: ['dense/heavy_industry', 'dense/tank_farm'] },
+    { name: 'Logistics Hub', factor: 3, frames: ['dense/logistics_hub', 'dense/container_port'] },
+  ],
+};
+// LEVEL_REQUIREMENTS[n - 1] is what it takes to grow from level n to n + 1,
+// held for UPGRADE_TICKS ticks in a row
+const LEVEL_REQUIREMENTS: LevelRequirement[] = [
+  { landValue: 40, services: 0.5, happiness: 60 },
+  { landValue: 60, services: 0.75, happiness: 75 },
+];
+const UPGRADE_TICKS = 4;
+const BASE_LAND_VALUE = 20;
+const SERVICE_LAND_VALUE = 40; // land value added by full coverage of every service
+
+// Sprite sheets in SPRITE_SHEET_PATH hold many buildings on a red background;
+// each has a JSON frame definition in ATLAS_PATH. Frames with a state are the
+// construction or abandoned art of their building, or of one variant when they
+// name it (harry_construction and the parks state sheets hold the harry and
+// parks variants'), the rest are variants the player can pick when placing it.
+// Earlier sheets win when frames overlap.
+// The planes sheet is all decoration, as are the stations until there is rail.
+const SPRITE_SHEET_PATH = '/assets';
+const ATLAS_PATH = '/assets/atlas';
+const ATLAS_SHEETS = [
+  'construction', 'abandoned', 'parks_construction', 'parks_abandoned',
+  'harry_construction',
+  'main', 'modern', 'china', 'dense', 'harry', 'harry_dense', 'shops', 'services', 'services-2', 'stations', 'farm',
+  'parks', 'planes',
+];
+const ATLAS_THUMBNAIL_SIZE = 48;
+const DEFAULT_ANCHOR = { x: 0.5, y: 1 };
+
+// Sound configurations for different building types
+const BUILDING_SOUNDS: Record<string, { note: string; type: 'place' | 'special' }> = {
+  house: { note: 'C4', type: 'place' },
+  shop: { note: 'E4', type: 'place' },
+  market: { note: 'G4', type: 'place' },
+  university: { note: 'C5', type: 'special' },
+  hospital: { note: 'C5', type: 'special' },
+  stadium: { note: 'C5', type: 'special' },
+  airport: { note: 'C5', type: 'special' },
+  powerplant: { note: 'G3', type: 'place' },
+  factory: { note: 'F3', type: 'place' },
+  watertower: { note: 'B4', type: 'place' },
+  school: { note: 'F4', type: 'place' },
+  fire_station: { note: 'D5', type: 'place' },
+  police_station: { note: 'D5', type: 'place' },
+  tennis: { note: 'A4', type: 'place' },
+  park: { note: 'A4', type: 'place' },
+  road: { note: 'D4', type: 'place' },
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+function gridToScreen(x: number, y: number, offsetX: number, offsetY: number): { screenX: number; screenY: number } {
+  const screenX = (x - y) * (TILE_WIDTH / 2) + offsetX;
+  const screenY = (x + y) * (TILE_HEIGHT / 2) + offsetY;
+  return { screenX, screenY };
+}
+
+// Canvas pixels to the tile under them, undoing the camera zoom first
+function screenToGrid(screenX: number, screenY: number, view: CameraView): { gridX: number; gridY: number } {
+  const world = canvasToWorld(view, screenX, screenY);
+  const adjustedX = world.x - view.offsetX;
+  const adjustedY = world.y - view.offsetY;
+  const gridX = Math.floor((adjustedX / (TILE_WIDTH / 2) + adjustedY / (TILE_HEIGHT / 2)) / 2);
+  const gridY = Math.floor((adjustedY / (TILE_HEIGHT / 2) - adjustedX / (TILE_WIDTH / 2)) / 2);
+  return { gridX, gridY };
+}
+
+function canvasToWorld(view: CameraView, x: number, y: number): { x: number; y: number } {
+  return {
+    x: view.pivotX + (x - view.pivotX) / view.zoom,
+    y: view.pivotY + (y - view.pivotY) / view.zoom,
+  };
+}
+
+function applyCamera(ctx: CanvasRenderingContext2D, view: CameraView) {
+  ctx.translate(view.pivotX, view.pivotY);
+  ctx.scale(view.zoom, view.zoom);
+  ctx.translate(-view.pivotX, -view.pivotY);
+}
+
+function clampZoom(zoom: number): number {
+  return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+}
+
+function createEmptyGrid(): Tile[][] {
+  const grid: Tile[][] = [];
+  for (let y = 0; y < GRID_SIZE; y++) {
+    grid[y] = [];
+    for (let x = 0; x < GRID_SIZE; x++) {
+      grid[y][x] = { building: 'grass', occupied: false };
+    }
+  }
+  return grid;
+}
+
+function isBuildingType(type: string): type is BuildingType {
+  return TOOLS.some(t => t.type === type && t.type !== 'bulldoze' && t.type !== 'move') && !isZoneTool(type);
+}
+
+function isZoneTool(type: string): type is ZoneTool {
+  return type === 'dezone' || type.startsWith('zone_');
+}
+
+// Zone a zoning tool paints; undefined for dezoning
+function getToolZone(type: ZoneTool): ZoneType | undefined {
+  return type === 'dezone' ? undefined : type.slice('zone_'.length) as ZoneType;
+}
+
+function isZoneType(value: unknown): value is ZoneType {
+  return ZONES.some(z => z.id === value);
+}
+
+function isBuildingState(value: unknown): value is BuildingState {
+  return value === 'construction' || value === 'abandoned';
+}
+
+// Roads are laid instantly; everything else starts out as a construction site
+function getInitialState(type: string): BuildingState | undefined {
+  return type === 'road' ? undefined : 'construction';
+}
+
+// A building's current density level; undefined for types without levels
+function getDensityLevel(type: BuildingType, level: number | undefined): DensityLevel | undefined {
+  return DENSITY_LEVELS[type]?.[(level || 1) - 1];
+}
+
+// Level 1 is stored as no level at all
+function isUpperLevel(type: BuildingType, level: unknown): level is number {
+  return Number.isInteger(level) && (level as number) > 1 && (level as number) <= (DENSITY_LEVELS[type]?.length || 1);
+}
+
+// How much denser than as placed the building has grown
+function getDensityFactor(tile: Tile): number {
+  return getDensityLevel(tile.building, tile.level)?.factor ?? 1;
+}
+
+function getToolSize(type: BuildingType): number {
+  return TOOLS.find(t => t.type === type)?.size || 1;
+}
+
+const BULLDOZE_TOOL = TOOLS.find(t => t.type === 'bulldoze')!;
+
+// Per-building data lives on the parent tile; these two convert between that
+// and the SavedBuilding records used by history, saves and exports
+function tileToBuilding(tile: Tile, x: number, y: number): SavedBuilding {
+  return { type: tile.building, x, y, placedAt: tile.placedAt, cost: tile.cost, flipped: tile.flipped, state: tile.state, variant: tile.variant, level: tile.level };
+}
+
+// Write a building into a (copied) grid: the parent tile holds the type, the
+// rest of the footprint points back at it. Anything already there is cleared
+// first, which only happens when undo or a replay lands on a grown building.
+function placeBuilding(grid: Tile[][], building: SavedBuilding) {
+  const { x, y } = building;
+  const type = building.type as BuildingType;
+  const size = getToolSize(type);
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      const owner = getBuildingAt(grid, x + dx, y + dy);
+      if (owner) removeBuilding(grid, owner.x, owner.y);
+    }
+  }
+  grid[y][x] = {
+    building: type,
+    occupied: false,
+    placedAt: building.placedAt,
+    cost: building.cost,
+    flipped: building.flipped,
+    state: isBuildingState(building.state) ? building.state : undefined,
+    variant: typeof building.variant === 'string' ? building.variant : undefined,
+    level: isUpperLevel(type, building.level) ? building.level : undefined,
+    zone: grid[y][x].zone,
+  };
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      if (dx === 0 && dy === 0) continue;
+      grid[y + dy][x + dx] = { building: 'grass', occupied: true, parentX: x, parentY: y, zone: grid[y + dy][x + dx].zone };
+    }
+  }
+}
+
+// The building covering a tile, found through the footprint's parent pointer
+function getBuildingAt(grid: Tile[][], x: number, y: number): SavedBuilding | null {
+  const tile = grid[y][x];
+  const parentX = tile.occupied ? tile.parentX ?? x : x;
+  const parentY = tile.occupied ? tile.parentY ?? y : y;
+  const parent = grid[parentY][parentX];
+  if (parent.building === 'grass' || parent.building === 'empty') return null;
+  return tileToBuilding(parent, parentX, parentY);
+}
+
+// Every building intersecting the rectangle between two corners, once each
+function getBuildingsInArea(grid: Tile[][], start: { x: number; y: number }, end: { x: number; y: number }): SavedBuilding[] {
+  const found = new Map<string, SavedBuilding>();
+  for (let y = Math.min(start.y, end.y); y <= Math.max(start.y, end.y); y++) {
+    for (let x = Math.min(start.x, end.x); x <= Math.max(start.x, end.x); x++) {
+      const building = getBuildingAt(grid, x, y);
+      if (building) found.set(`${building.x},${building.y}`, building);
+    }
+  }
+  return Array.from(found.values());
+}
+
+// Clear a building's whole footprint given its parent tile; zones stay
+function removeBuilding(grid: Tile[][], x: number, y: number) {
+  const size = getToolSize(grid[y][x].building);
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      grid[y + dy][x + dx] = { building: 'grass', occupied: false, zone: grid[y + dy][x + dx].zone };
+    }
+  }
+}
+
+// Remove a building recorded in history or the timelapse, if it is still there
+function removeSavedBuilding(grid: Tile[][], building: SavedBuilding) {
+  const { x, y } = building;
+  if (x < 0 || y < 0 || x >= GRID_SIZE || y >= GRID_SIZE) return;
+  if (!grid[y][x].occupied && grid[y][x].building === building.type) removeBuilding(grid, x, y);
+}
+
+function applyZoneChanges(grid: Tile[][], changes: ZoneChange[], direction: 1 | -1) {
+  changes.forEach(c => {
+    if (c.x < 0 || c.y < 0 || c.x >= GRID_SIZE || c.y >= GRID_SIZE) return;
+    grid[c.y][c.x].zone = direction === 1 ? c.to : c.from;
+  });
+}
+
+// Apply a history entry forwards (redo) or backwards (undo) to a copy of the grid
+function applyHistoryEntry(grid: Tile[][], entry: HistoryEntry, direction: 1 | -1): Tile[][] {
+  const newGrid = grid.map(row => row.map(t => ({ ...t })));
+  const toRemove = direction === 1 ? entry.removed : entry.placed;
+  const toPlace = direction === 1 ? entry.placed : entry.removed;
+  toRemove.forEach(b => removeSavedBuilding(newGrid, b));
+  toPlace.forEach(b => placeBuilding(newGrid, b));
+  applyZoneChanges(newGrid, entry.zoned || [], direction);
+  return newGrid;
+}
+
+// =============================================================================
+// ROADS
+// =============================================================================
+// Neighbour bits for road masks, in grid directions
+const ROAD_N = 1; // y - 1
+const ROAD_E = 2; // x + 1
+const ROAD_S = 4; // y + 1
+const ROAD_W = 8; // x - 1
+
+function isRoad(grid: Tile[][], x: number, y: number): boolean {
+  return x >= 0 && y >= 0 && x < GRID_SIZE && y < GRID_SIZE && grid[y][x].building === 'road';
+}
+
+function getRoadMask(grid: Tile[][], x: number, y: number): number {
+  return (isRoad(grid, x, y - 1) ? ROAD_N : 0) |
+    (isRoad(grid, x + 1, y) ? ROAD_E : 0) |
+    (isRoad(grid, x, y + 1) ? ROAD_S : 0) |
+    (isRoad(grid, x - 1, y) ? ROAD_W : 0);
+}
+
+// True if any tile along the edge of the building's footprint is a road
+function isConnectedToRoad(grid: Tile[][], x: number, y: number): boolean {
+  return isFootprintOnRoad(grid, x, y, getToolSize(grid[y][x].building));
+}
+
+function isFootprintOnRoad(grid: Tile[][], x: number, y: number, size: number): boolean {
+  for (let i = 0; i < size; i++) {
+    if (isRoad(grid, x + i, y - 1) || isRoad(grid, x + i, y + size) ||
+        isRoad(grid, x - 1, y + i) || isRoad(grid, x + size, y + i)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// L-shaped run from start to end, along the longer axis first
+function getRoadPath(start: { x: number; y: number }, end: { x: number; y: number }): Array<{ x: number; y: number }> {
+  const path: Array<{ x: number; y: number }> = [];
+  const stepX = Math.sign(end.x - start.x);
+  const stepY = Math.sign(end.y - start.y);
+  const xFirst = Math.abs(end.x - start.x) >= Math.abs(end.y - start.y);
+  const corner = xFirst ? { x: end.x, y: start.y } : { x: start.x, y: end.y };
+
+  let { x, y } = start;
+  path.push({ x, y });
+  while (x !== corner.x || y !== corner.y) {
+    if (xFirst) x += stepX; else y += stepY;
+    path.push({ x, y });
+  }
+  while (x !== end.x || y !== end.y) {
+    if (xFirst) y += stepY; else x += stepX;
+    path.push({ x, y });
+  }
+  return path;
+}
+
+// Road pieces are generated rather than loaded, one per neighbour mask. The 16
+// masks cover dead ends, straights, corners, T junctions and crossings in every
+// orientation.
+let roadSpriteCache: HTMLCanvasElement[] | null = null;
+
+function getRoadSprites(): HTMLCanvasElement[] {
+  if (roadSpriteCache) return roadSpriteCache;
+
+  roadSpriteCache = [];
+  for (let mask = 0; mask < 16; mask++) {
+    const canvas = document.createElement('canvas');
+    canvas.width = TILE_WIDTH;
+    canvas.height = TILE_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    if (ctx) {
+      // Map the unit tile square (u along x, v along y) onto the iso diamond
+      ctx.setTransform(TILE_WIDTH / 2, TILE_HEIGHT / 2, -TILE_WIDTH / 2, TILE_HEIGHT / 2, TILE_WIDTH / 2, 0);
+
+      // Pavement
+      ctx.fillStyle = '#9ca3af';
+      ctx.fillRect(0, 0, 1, 1);
+
+      // Asphalt: centre plus an arm towards each connected neighbour
+      ctx.fillStyle = '#374151';
+      ctx.fillRect(0.2, 0.2, 0.6, 0.6);
+      if (mask & ROAD_N) ctx.fillRect(0.2, 0, 0.6, 0.5);
+      if (mask & ROAD_E) ctx.fillRect(0.5, 0.2, 0.5, 0.6);
+      if (mask & ROAD_S) ctx.fillRect(0.2, 0.5, 0.6, 0.5);
+      if (mask & ROAD_W) ctx.fillRect(0, 0.2, 0.5, 0.6);
+
+      // Dashed centre lines
+      ctx.fillStyle = '#fbbf24';
+      if (mask & ROAD_N) ctx.fillRect(0.48, 0.05, 0.04, 0.25);
+      if (mask & ROAD_S) ctx.fillRect(0.48, 0.7, 0.04, 0.25);
+      if (mask & ROAD_W) ctx.fillRect(0.05, 0.48, 0.25, 0.04);
+      if (mask & ROAD_E) ctx.fillRect(0.7, 0.48, 0.25, 0.04);
+    }
+    roadSpriteCache.push(canvas);
+  }
+  return roadSpriteCache;
+}
+
+// =============================================================================
+// DRAG BUILDING
+// =============================================================================
+// `ignore` is the parent tile of a building whose own tiles count as free,
+// for moving or replacing it in place
+function isAreaFree(grid: Tile[][], x: number, y: number, size: number, ignore?: { x: number; y: number }): boolean {
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      const tx = x + dx;
+      const ty = y + dy;
+      if (tx < 0 || ty < 0 || tx >= GRID_SIZE || ty >= GRID_SIZE) return false;
+      if (grid[ty][tx].building !== 'grass' || grid[ty][tx].occupied) {
+        const owner = ignore && getBuildingAt(grid, tx, ty);
+        if (!owner || owner.x !== ignore.x || owner.y !== ignore.y) return false;
+      }
+    }
+  }
+  return true;
+}
+
+// Footprint anchors covered by a drag. Roads follow an L-shaped run; buildings
+// tile the dragged rectangle outwards from the start tile, one footprint per
+// `size` tiles, so a 1x1 tool fills a line or rectangle.
+function getDragFootprints(tool: Tool, start: { x: number; y: number }, end: { x: number; y: number }): Array<{ x: number; y: number }> {
+  if (tool.type === 'road') return getRoadPath(start, end);
+
+  const size = tool.size;
+  const spanX = Math.abs(end.x - start.x) + 1;
+  const spanY = Math.abs(end.y - start.y) + 1;
+  const countX = Math.floor(spanX / size) || 1;
+  const countY = Math.floor(spanY / size) || 1;
+  // An axis dragged less than one building's width keeps its single footprint
+  // anchored at the start, whichever way the drag went
+  const stepX = end.x < start.x && spanX >= size ? -1 : 1;
+  const stepY = end.y < start.y && spanY >= size ? -1 : 1;
+
+  const footprints: Array<{ x: number; y: number }> = [];
+  for (let j = 0; j < countY; j++) {
+    for (let i = 0; i < countX; i++) {
+      footprints.push({
+        x: stepX > 0 ? start.x + i * size : start.x - (i + 1) * size + 1,
+        y: stepY > 0 ? start.y + j * size : start.y - (j + 1) * size + 1,
+      });
+    }
+  }
+  return footprints;
+}
+
+// Decide what a drag would build: blocked footprints are skipped, and once the
+// money runs out everything after is marked unaffordable
+function planDrag(grid: Tile[][], tool: Tool, start: { x: number; y: number }, end: { x: number; y: number }, money: number): DragPlan {
+  const plan: DragPlan = { placements: [], cost: 0 };
+  let outOfMoney = false;
+  for (const { x, y } of getDragFootprints(tool, start, end)) {
+    let status: DragPlacement['status'];
+    if (x < 0 || y < 0 || !isAreaFree(grid, x, y, tool.size)) {
+      status = tool.type === 'road' && isRoad(grid, x, y) ? 'skip' : 'blocked';
+    } else if (outOfMoney || money < plan.cost + tool.cost) {
+      outOfMoney = true;
+      status = 'unaffordable';
+    } else {
+      status = 'place';
+      plan.cost += tool.cost;
+    }
+    plan.placements.push({ x, y, status });
+  }
+  return plan;
+}
+
+// Bulldozing an area demolishes as many of the buildings as money allows
+function planDemolition(grid: Tile[][], tool: Tool, start: { x: number; y: number }, end: { x: number; y: number }, money: number): DemolitionPlan {
+  const all = getBuildingsInArea(grid, start, end);
+  const affordable = tool.cost > 0 ? Math.min(all.length, Math.floor(Math.max(0, money) / tool.cost)) : all.length;
+  const buildings = all.slice(0, affordable);
+  return { buildings, cost: buildings.length * tool.cost, unaffordable: all.length - affordable };
+}
+
+function drawLabel(ctx: CanvasRenderingContext2D, text: string, x: number, y: number, color: string) {
+  ctx.font = 'bold 13px -apple-system, BlinkMacSystemFont, sans-serif';
+  ctx.textAlign = 'center';
+  const width = ctx.measureText(text).width + 12;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(x - width / 2, y - 15, width, 20);
+  ctx.fillStyle = color;
+  ctx.fillText(text, x, y);
+}
+
+// =============================================================================
+// PERSISTENCE
+// =============================================================================
+function getBuildingsFromGrid(grid: Tile[][]): SavedBuilding[] {
+  const buildings: SavedBuilding[] = [];
+  for (let y = 0; y < GRID_SIZE; y++) {
+    for (let x = 0; x < GRID_SIZE; x++) {
+      const tile = grid[y][x];
+      if (tile.building !== 'grass' && tile.building !== 'empty' && !tile.occupied) {
+        buildings.push(tileToBuilding(tile, x, y));
+      }
+    }
+  }
+  return buildings;
+}
+
+function getZonesFromGrid(grid: Tile[][]): SaveData['zones'] {
+  const zones: SaveData['zones'] = [];
+  for (let y = 0; y < GRID_SIZE; y++) {
+    for (let x = 0; x < GRID_SIZE; x++) {
+      const zone = grid[y][x].zone;
+      if (zone) zones.push({ x, y, zone });
+    }
+  }
+  return zones;
+}
+
+// Paint saved zones onto a grid, skipping any that are malformed or off the map
+function applySavedZones(grid: Tile[][], zones: SaveData['zones']): Tile[][] {
+  zones.forEach(({ x, y, zone }) => {
+    if (Number.isInteger(x) && Number.isInteger(y) && x >= 0 && y >= 0 && x < GRID_SIZE && y < GRID_SIZE && isZoneType(zone)) {
+      grid[y][x].zone = zone;
+    }
+  });
+  return grid;
+}
+
+function getToolName(type: string): string {
+  return TOOLS.find(t => t.type === type)?.name || type;
+}
+
+// Rebuild a grid from saved buildings. Types that no longer exist and footprints
+// that no longer fit (e.g. after a size change in TOOLS) are dropped, or reported
+// as an Error when strict is set.
+function buildGridFromBuildings(buildings: SavedBuilding[], strict = false): Tile[][] {
+  const grid = createEmptyGrid();
+  for (const building of buildings) {
+    const { type, x, y } = building;
+    if (!isBuildingType(type) || !Number.isInteger(x) || !Number.isInteger(y)) {
+      if (strict) throw new Error(`Unknown building "${type}" at (${x}, ${y})`);
+      continue;
+    }
+    const size = getToolSize(type);
+    if (x < 0 || y < 0 || x + size > GRID_SIZE || y + size > GRID_SIZE) {
+      if (strict) throw new Error(`${getToolName(type)} at (${x}, ${y}) does not fit inside the ${GRID_SIZE}x${GRID_SIZE} map`);
+      continue;
+    }
+
+    let blocker: Tile | null = null;
+    for (let dy = 0; dy < size && !blocker; dy++) {
+      for (let dx = 0; dx < size && !blocker; dx++) {
+        const tile = grid[y + dy][x + dx];
+        if (tile.building !== 'grass' || tile.occupied) {
+          blocker = tile.occupied ? grid[tile.parentY ?? 0][tile.parentX ?? 0] : tile;
+        }
+      }
+    }
+    if (blocker) {
+      if (strict) throw new Error(`${getToolName(type)} at (${x}, ${y}) overlaps a ${getToolName(blocker.building)}`);
+      continue;
+    }
+    placeBuilding(grid, building);
+  }
+  return grid;
+}
+
+// A building record read back from storage or a file, or null when it has no
+// usable type and position. Optional fields of the wrong type are dropped so
+// strings or NaN can't leak into the economy and history.
+function readSavedBuilding(value: unknown): SavedBuilding | null {
+  if (!value || typeof value !== 'object') return null;
+  const raw = value as Record<string, unknown>;
+  if (typeof raw.type !== 'string' || !Number.isInteger(raw.x) || !Number.isInteger(raw.y)) return null;
+  const finite = (n: unknown) => typeof n === 'number' && Number.isFinite(n) ? n : undefined;
+  return {
+    type: raw.type,
+    x: raw.x as number,
+    y: raw.y as number,
+    placedAt: finite(raw.placedAt),
+    cost: finite(raw.cost),
+    flipped: typeof raw.flipped === 'boolean' ? raw.flipped : undefined,
+    state: isBuildingState(raw.state) ? raw.state : undefined,
+    variant: typeof raw.variant === 'string' ? raw.variant : undefined,
+    level: finite(raw.level),
+  };
+}
+
+function isSavedZone(value: unknown): value is SaveData['zones'][number] {
+  const zone = value as Partial<SaveData['zones'][number]> | null;
+  return !!zone && typeof zone === 'object' && Number.isInteger(zone.x) && Number.isInteger(zone.y) && isZoneType(zone.zone);
+}
+
+// Validate a parsed save and fill in anything missing. Returns null when the
+// data is unusable or was written by a newer version of the game. Malformed
+// buildings and zones are dropped rather than failing the whole save.
+function migrateSave(raw: unknown): SaveData | null {
+  if (!raw || typeof raw !== 'object') return null;
+  const data = raw as Partial<SaveData>;
+  if (typeof data.version !== 'number' || data.version > SAVE_VERSION) return null;
+  if (!Array.isArray(data.buildings)) return null;
+  const buildings = (data.buildings as unknown[]).map(readSavedBuilding).filter((b): b is SavedBuilding => b !== null);
+
+  return {
+    version: SAVE_VERSION,
+    name: typeof data.name === 'string' ? data.name : 'Untitled city',
+    savedAt: typeof data.savedAt === 'number' ? data.savedAt : Date.now(),
+    money: typeof data.money === 'number' ? data.money : STARTING_MONEY,
+    themeId: typeof data.themeId === 'string' ? data.themeId : THEMES[0].id,
+    camera: data.camera && typeof data.camera.x === 'number' && typeof data.camera.y === 'number'
+      ? { x: data.camera.x, y: data.camera.y }
+      : { x: 0, y: 0 },
+    zoom: typeof data.zoom === 'number' ? clampZoom(data.zoom) : 1,
+    buildings,
+    zones: Array.isArray(data.zones) ? (data.zones as unknown[]).filter(isSavedZone) : [],
+    // Saves from before the timelapse start it with the whole city at once
+    timelapse: Array.isArray(data.timelapse) && data.timelapse.every(isTimelapseEntry)
+      ? data.timelapse
+      : seedTimelapse(buildings, typeof data.savedAt === 'number' ? data.savedAt : Date.now()),
+  };
+}
+
+// Small top-down picture of the city for the load dialog
+function renderThumbnail(grid: Tile[][]): string {
+  const canvas = document.createElement('canvas');
+  const pixel = Math.max(1, Math.floor(120 / GRID_SIZE));
+  canvas.width = GRID_SIZE * pixel;
+  canvas.height = GRID_SIZE * pixel;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return '';
+
+  ctx.fillStyle = BUILDING_COLORS.grass;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  for (let y = 0; y < GRID_SIZE; y++) {
+    for (let x = 0; x < GRID_SIZE; x++) {
+      const type = getBuildingAt(grid, x, y)?.type;
+      if (!type) continue;
+      ctx.fillStyle = BUILDING_COLORS[type] || BUILDING_COLORS.grass;
+      ctx.fillRect(x * pixel, y * pixel, pixel, pixel);
+    }
+  }
+  return canvas.toDataURL('image/png');
+}
+
+function createCityExport(grid: Tile[][], money: number, themeId: string): CityExport {
+  return { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: Date.now(), money, themeId, grid };
+}
+
+// Parse and validate an exported city file. Throws an Error with a message that
+// can be shown to the player; the returned grid is rebuilt from scratch so a
+// bad file can never leave half-written tiles behind.
+function parseCityExport(text: string): { grid: Tile[][]; money: number; themeId: string } {
+  let data: Partial<CityExport>;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+    throw new Error('The file is not a New City export');
+  }
+  if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+    throw new Error('The file was exported by a newer version of New City');
+  }
+  // Maps from before GRID_SIZE grew are smaller and load into the top corner
+  const rows = data.grid;
+  if (!Array.isArray(rows) || rows.length === 0 || rows.length > GRID_SIZE ||
+      rows.some(row => !Array.isArray(row) || row.length !== rows.length)) {
+    throw new Error(`The map must be square and at most ${GRID_SIZE}x${GRID_SIZE} tiles`);
+  }
+
+  const buildings: SavedBuilding[] = [];
+  const zones: SaveData['zones'] = [];
+  for (let y = 0; y < rows.length; y++) {
+    for (let x = 0; x < rows.length; x++) {
+      const tile = rows[y][x];
+      if (!tile || typeof tile !== 'object' || typeof tile.building !== 'string') {
+        throw new Error(`Tile (${x}, ${y}) is malformed`);
+      }
+      if (tile.zone !== undefined) {
+        if (!isZoneType(tile.zone)) throw new Error(`Tile (${x}, ${y}) has an unknown zone "${tile.zone}"`);
+        zones.push({ x, y, zone: tile.zone });
+      }
+      if (tile.occupied || tile.building === 'grass' || tile.building === 'empty') continue;
+      // The tile's position and type are known good, so only its optional fields can be dropped
+      buildings.push(readSavedBuilding(tileToBuilding(tile, x, y))!);
+    }
+  }
+
+  return {
+    grid: applySavedZones(buildGridFromBuildings(buildings, true), zones),
+    money: typeof data.money === 'number' ? data.money : STARTING_MONEY,
+    themeId: typeof data.themeId === 'string' ? data.themeId : THEMES[0].id,
+  };
+}
+
+function readSaveIndex(): SaveSlot[] {
+  try {
+    const index = JSON.parse(localStorage.getItem(SAVE_INDEX_KEY) || '[]');
+    return Array.isArray(index) ? index : [];
+  } catch (e) {
+    console.error('Failed to read save index', e);
+    return [];
+  }
+}
+
+// Store a save and return the updated, newest-first slot list, or null when
+// storage refused it (usually because the quota is full)
+function writeSave(id: string, data: SaveData, thumbnail: string): SaveSlot[] | null {
+  const slot: SaveSlot = { id, name: data.name, savedAt: data.savedAt, thumbnail };
+  const index = [slot, ...readSaveIndex().filter(s => s.id !== id)];
+  try {
+    localStorage.setItem(SAVE_KEY_PREFIX + id, JSON.stringify(data));
+    localStorage.setItem(SAVE_INDEX_KEY, JSON.stringify(index));
+  } catch (e) {
+    console.error('Failed to write save', e);
+    return null;
+  }
+  return index;
+}
+
+function readSave(id: string): SaveData | null {
+  const saved = localStorage.getItem(SAVE_KEY_PREFIX + id);
+  if (!saved) return null;
+  try {
+    return migrateSave(JSON.parse(saved));
+  } catch (e) {
+    console.error('Failed to load save state', e);
+    return null;
+  }
+}
+
+function deleteSave(id: string): SaveSlot[] {
+  const index = readSaveIndex().filter(s => s.id !== id);
+  localStorage.removeItem(SAVE_KEY_PREFIX + id);
+  localStorage.setItem(SAVE_INDEX_KEY, JSON.stringify(index));
+  return index;
+}
+
+// =============================================================================
+// TIMELAPSE
+// =============================================================================
+
+// Log for a city whose history is unknown: everything appears in one step
+function seedTimelapse(buildings: SavedBuilding[], time: number, zones: SaveData['zones'] = []): TimelapseEntry[] {
+  if (buildings.length === 0 && zones.length === 0) return [];
+  return [{ time, placed: buildings, removed: [], zoned: zones.map(({ x, y, zone }) => ({ x, y, to: zone })) }];
+}
+
+// Log of at most `max` steps for a save: the oldest steps are replayed and
+// folded into one seed step, so the replay still ends at the same city
+function compactTimelapse(log: TimelapseEntry[], max = MAX_TIMELAPSE_STEPS): TimelapseEntry[] {
+  if (log.length <= max) return log;
+  const folded = log.length - max + 1;
+  const grid = replayTimelapse(log, folded, null, 0);
+  return [...seedTimelapse(getBuildingsFromGrid(grid), log[folded - 1].time, getZonesFromGrid(grid)), ...log.slice(folded)];
+}
+
+function isTimelapseEntry(value: unknown): value is TimelapseEntry {
+  const entry = value as Partial<TimelapseEntry> | null;
+  const isBuildingList = (list: unknown) => Array.isArray(list) &&
+    list.every(b => b && typeof b.type === 'string' && Number.isInteger(b.x) && Number.isInteger(b.y));
+  const isZoneList = (list: unknown) => list === undefined || (Array.isArray(list) &&
+    list.every(c => c && Number.isInteger(c.x) && Number.isInteger(c.y)));
+  return !!entry && typeof entry.time === 'number' && isBuildingList(entry.placed) && isBuildingList(entry.removed) &&
+    isZoneList(entry.zoned);
+}
+
+// Grid after the first `step` entries of the log. Continuing forward from an
+// earlier replay only applies the new entries, stamped with `placedAt` so they
+// drop in like fresh placements.
+function replayTimelapse(
+  log: TimelapseEntry[],
+  step: number,
+  from: { step: number; grid: Tile[][] } | null,
+  placedAt: number,
+): Tile[][] {
+  const resume = from && from.step <= step ? from : null;
+  const grid = resume ? resume.grid.map(row => row.map(t => ({ ...t }))) : createEmptyGrid();
+  for (let i = resume ? resume.step : 0; i < step; i++) {
+    const entry = log[i];
+    entry.removed.forEach(b => removeSavedBuilding(grid, b));
+    entry.placed.forEach(b => {
+      if (!isBuildingType(b.type)) return;
+      const size = getToolSize(b.type);
+      if (b.x < 0 || b.y < 0 || b.x + size > GRID_SIZE || b.y + size > GRID_SIZE) return;
+      // The replay shows every building finished, whatever became of it later
+      placeBuilding(grid, { ...b, placedAt: resume ? placedAt : b.placedAt, state: undefined });
+    });
+    applyZoneChanges(grid, entry.zoned || [], 1);
+  }
+  return grid;
+}
+
+// =============================================================================
+// KEY BINDINGS
+// =============================================================================
+
+// Number keys pick the build tools in sidebar order; the rest are fixed actions
+const KEY_ACTIONS: KeyAction[] = [
+  ...TOOLS.filter(tool => tool.type !== 'bulldoze').map((tool, i) => ({
+    id: `tool:${tool.type}`,
+    label: tool.name,
+    defaultKeys: i < 9 ? [String(i + 1)] : [],
+  })),
+  { id: 'tool:bulldoze', label: BULLDOZE_TOOL.name, defaultKeys: ['B'] },
+  { id: 'panUp', label: 'Pan up', defaultKeys: ['W', 'ArrowUp'] },
+  { id: 'panLeft', label: 'Pan left', defaultKeys: ['A', 'ArrowLeft'] },
+  { id: 'panDown', label: 'Pan down', defaultKeys: ['S', 'ArrowDown'] },
+  { id: 'panRight', label: 'Pan right', defaultKeys: ['D', 'ArrowRight'] },
+  { id: 'zoomIn', label: 'Zoom in', defaultKeys: ['+', '='] },
+  { id: 'zoomOut', label: 'Zoom out', defaultKeys: ['-'] },
+  { id: 'rotate', label: 'Rotate building', defaultKeys: ['R'] },
+  { id: 'music', label: 'Toggle music', defaultKeys: ['M'] },
+  { id: 'deselect', label: 'Deselect', defaultKeys: ['Escape'] },
+  { id: 'undo', label: 'Undo', defaultKeys: ['Ctrl+Z'] },
+  { id: 'redo', label: 'Redo', defaultKeys: ['Ctrl+Shift+Z', 'Ctrl+Y'] },
+  { id: 'save', label: 'Save city', defaultKeys: ['Ctrl+S'] },
+  { id: 'help', label: 'Show shortcuts', defaultKeys: ['?'] },
+];
+
+const KEY_LABELS: Record<string, string> = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  Escape: 'Esc',
+};
+
+function getDefaultKeyBindings(): KeyBindings {
+  return Object.fromEntries(KEY_ACTIONS.map(action => [action.id, action.defaultKeys]));
+}
+
+// Combo for a key press, or null for a lone modifier. Shift is only written for
+// letters and named keys, since for symbols it is already part of the key ('+').
+function getKeyCombo(e: KeyboardEvent): string | null {
+  if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+  const key = e.key === ' ' ? 'Space' : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  const modifiers: string[] = [];
+  if (e.ctrlKey || e.metaKey) modifiers.push('Ctrl');
+  if (e.altKey) modifiers.push('Alt');
+  if (e.shiftKey && (e.key.length > 1 || e.key.toLowerCase() !== e.key.toUpperCase())) modifiers.push('Shift');
+  return [...modifiers, key].join('+');
+}
+
+function formatKeyCombo(combo: string): string {
+  return combo.replace(/[A-Za-z]+$/, key => KEY_LABELS[key] || key);
+}
+
+function getActionForCombo(bindings: KeyBindings, combo: string): string | null {
+  return KEY_ACTIONS.find(action => bindings[action.id]?.includes(combo))?.id || null;
+}
+
+// Saved bindings over the defaults, so actions added later get their default keys
+function readKeyBindings(): KeyBindings {
+  const bindings = getDefaultKeyBindings();
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEY_BINDINGS_KEY) || '{}');
+    KEY_ACTIONS.forEach(action => {
+      const keys = saved?.[action.id];
+      if (Array.isArray(keys) && keys.every(k => typeof k === 'string')) bindings[action.id] = keys;
+    });
+  } catch (e) {
+    console.error('Failed to read key bindings', e);
+  }
+  return bindings;
+}
+
+function writeKeyBindings(bindings: KeyBindings) {
+  try {
+    localStorage.setItem(KEY_BINDINGS_KEY, JSON.stringify(bindings));
+  } catch (e) {
+    console.error('Failed to write key bindings', e);
+  }
+}
+
+// Bind a combo to one key slot of an action (a slot past the end adds a key),
+// taking it away from any other action or slot that had it
+function rebindKey(bindings: KeyBindings, actionId: string, slot: number, combo: string): KeyBindings {
+  const next: KeyBindings = {};
+  KEY_ACTIONS.forEach(action => {
+    const keys = bindings[action.id] || [];
+    if (action.id !== actionId) {
+      next[action.id] = keys.filter(k => k !== combo);
+      return;
+    }
+    const edited = [...keys];
+    edited[Math.min(slot, keys.length)] = combo;
+    next[action.id] = edited.filter((k, i) => k !== combo || i === Math.min(slot, keys.length));
+  });
+  return next;
+}
+
+// Give an action exactly these keys (none clears it), taking them away from
+// any other action that had them
+function setActionKeys(bindings: KeyBindings, actionId: string, keys: string[]): KeyBindings {
+  const next: KeyBindings = {};
+  KEY_ACTIONS.forEach(action => {
+    next[action.id] = action.id === actionId
+      ? Array.from(new Set(keys))
+      : (bindings[action.id] || []).filter(k => !keys.includes(k));
+  });
+  return next;
+}
+
+// =============================================================================
+// SERVICE COVERAGE
+// =============================================================================
+function getServiceOf(type: string): ServiceInfo | undefined {
+  return SERVICES.find(service => service.buildings.includes(type as BuildingType));
+}
+
+// Visit every tile a service building covers with its coverage there: 1 next to
+// the building, fading to 0 just past its range. A building on a road measures
+// distance along the road network, reaching the tiles beside those roads; one
+// without road access measures straight-line distance instead.
+function forEachCoveredTile(grid: Tile[][], x: number, y: number, range: number, visit: (tx: number, ty: number, value: number) => void) {
+  const size = getToolSize(grid[y][x].building);
+  const falloff = (distance: number) => 1 - distance / (range + 1);
+
+  if (!isConnectedToRoad(grid, x, y)) {
+    for (let ty = Math.max(0, y - range); ty < Math.min(GRID_SIZE, y + size + range); ty++) {
+      for (let tx = Math.max(0, x - range); tx < Math.min(GRID_SIZE, x + size + range); tx++) {
+        const dx = Math.max(x - tx, 0, tx - (x + size - 1));
+        const dy = Math.max(y - ty, 0, ty - (y + size - 1));
+        const distance = Math.hypot(dx, dy);
+        if (distance <= range) visit(tx, ty, falloff(distance));
+      }
+    }
+    return;
+  }
+
+  // Breadth-first along the roads, starting from those touching the footprint
+  const distances = new Map<number, number>();
+  const queue: Array<[number, number]> = [];
+  for (let i = 0; i < size; i++) {
+    for (const [rx, ry] of [[x + i, y - 1], [x + i, y + size], [x - 1, y + i], [x + size, y + i]]) {
+      if (isRoad(grid, rx, ry) && !distances.has(ry * GRID_SIZE + rx)) {
+        distances.set(ry * GRID_SIZE + rx, 0);
+        queue.push([rx, ry]);
+      }
+    }
+  }
+  for (let head = 0; head < queue.length; head++) {
+    const [rx, ry] = queue[head];
+    const distance = distances.get(ry * GRID_SIZE + rx)!;
+    if (distance >= range) continue;
+    for (const [nx, ny] of [[rx, ry - 1], [rx + 1, ry], [rx, ry + 1], [rx - 1, ry]]) {
+      if (isRoad(grid, nx, ny) && !distances.has(ny * GRID_SIZE + nx)) {
+        distances.set(ny * GRID_SIZE + nx, distance + 1);
+        queue.push([nx, ny]);
+      }
+    }
+  }
+
+  // The building's own surroundings, then everything beside a reached road
+  for (let ty = Math.max(0, y - 1); ty <= Math.min(GRID_SIZE - 1, y + size); ty++) {
+    for (let tx = Math.max(0, x - 1); tx <= Math.min(GRID_SIZE - 1, x + size); tx++) {
+      visit(tx, ty, 1);
+    }
+  }
+  queue.forEach(([rx, ry]) => {
+    const value = falloff(distances.get(ry * GRID_SIZE + rx)!);
+    for (const [tx, ty] of [[rx, ry], [rx, ry - 1], [rx + 1, ry], [rx, ry + 1], [rx - 1, ry]]) {
+      if (tx >= 0 && ty >= 0 && tx < GRID_SIZE && ty < GRID_SIZE) visit(tx, ty, value);
+    }
+  });
+}
+
+// Coverage of every service, and how many homes each service building reaches
+function calculateCoverage(grid: Tile[][]): { services: Record<ServiceType, ServiceCoverage>; homesServed: Map<string, number> } {
+  const services = Object.fromEntries(SERVICES.map(service => [service.id, {
+    coverage: new Float32Array(GRID_SIZE * GRID_SIZE),
+    happiness: new Float32Array(GRID_SIZE * GRID_SIZE),
+  }])) as Record<ServiceType, ServiceCoverage>;
+  const homesServed = new Map<string, number>();
+
+  for (let y = 0; y < GRID_SIZE; y++) {
+    for (let x = 0; x < GRID_SIZE; x++) {
+      const tile = grid[y][x];
+      const service = tile.occupied || tile.state ? undefined : getServiceOf(tile.building);
+      if (!service) continue;
+
+      const stats = BUILDING_STATS[tile.building];
+      const { coverage, happiness } = services[service.id];
+      const homes = new Set<number>();
+      forEachCoveredTile(grid, x, y, stats.range, (tx, ty, value) => {
+        const index = ty * GRID_SIZE + tx;
+        coverage[index] = Math.max(coverage[index], value);
+        happiness[index] = Math.max(happiness[index], value * stats.happiness);
+        const other = grid[ty][tx];
+        if (!other.occupied && !other.state && BUILDING_STATS[other.building]?.residents) homes.add(index);
+      });
+      homesServed.set(`${x},${y}`, homes.size);
+    }
+  }
+  return { services, homesServed };
+}
+
+// =============================================================================
+// UTILITIES
+// =============================================================================
+// Supply and demand of every utility. Networks are groups of touching non-grass
+// tiles; within one, capacity goes to buildings in order of distance from the
+// plants, and anything beyond it or on a network without a plant is unserved.
+// Construction sites draw nothing; abandoned buildings stay hooked up so they
+// can tell whether they would be served if they came back.
+function calculateUtilities(grid: Tile[][]): Record<UtilityType, UtilityNetwork> {
+  const conducts = (x: number, y: number) =>
+    x >= 0 && y >= 0 && x < GRID_SIZE && y < GRID_SIZE &&
+    (grid[y][x].occupied || (grid[y][x].building !== 'grass' && grid[y][x].building !== 'empty'));
+  const neighbors = (x: number, y: number) => [[x, y - 1], [x + 1, y], [x, y + 1], [x - 1, y]];
+  const ownerOf = (x: number, y: number) => {
+    const tile = grid[y][x];
+    return tile.occupied ? `${tile.parentX},${tile.parentY}` : `${x},${y}`;
+  };
+  const needOf = (tile: Tile, utility: UtilityType) =>
+    tile.state === 'construction' ? 0 : (UTILITY_DEMAND[tile.building]?.[utility] || 0) * getDensityFactor(tile);
+
+  // Label the networks
+  const network = new Int32Array(GRID_SIZE * GRID_SIZE).fill(-1);
+  let networks = 0;
+  for (let y = 0; y < GRID_SIZE; y++) {
+    for (let x = 0; x < GRID_SIZE; x++) {
+      if (!conducts(x, y) || network[y * GRID_SIZE + x] >= 0) continue;
+      const stack = [[x, y]];
+      network[y * GRID_SIZE + x] = networks;
+      while (stack.length > 0) {
+        const [cx, cy] = stack.pop()!;
+        for (const [nx, ny] of neighbors(cx, cy)) {
+          if (conducts(nx, ny) && network[ny * GRID_SIZE + nx] < 0) {
+            network[ny * GRID_SIZE + nx] = networks;
+            stack.push([nx, ny]);
+          }
+        }
+      }
+      networks++;
+    }
+  }
+
+  const result = {} as Record<UtilityType, UtilityNetwork>;
+  for (const utility of UTILITIES) {
+    // Capacity of each network, and a search starting from every plant on it
+    const capacity = new Array(networks).fill(0);
+    const visited = new Uint8Array(GRID_SIZE * GRID_SIZE);
+    const queue: Array<[number, number]> = [];
+    let supply = 0;
+    let demand = 0;
+    for (let y = 0; y < GRID_SIZE; y++) {
+      for (let x = 0; x < GRID_SIZE; x++) {
+        const tile = grid[y][x];
+        if (tile.occupied) continue;
+        demand += needOf(tile, utility.id);
+        const output = tile.state ? 0 : utility.supply[tile.building];
+        if (!output) continue;
+        supply += output;
+        capacity[network[y * GRID_SIZE + x]] += output;
+        const size = getToolSize(tile.building);
+        for (let dy = 0; dy < size; dy++) {
+          for (let dx = 0; dx < size; dx++) {
+            visited[(y + dy) * GRID_SIZE + x + dx] = 1;
+            queue.push([x + dx, y + dy]);
+          }
+        }
+      }
+    }
+
+    // Hand out capacity to buildings as the search reaches them
+    const served = new Set<string>();
+    for (let head = 0; head < queue.length; head++) {
+      const [x, y] = queue[head];
+      const owner = ownerOf(x, y);
+      if (!served.has(owner)) {
+        const [ox, oy] = owner.split(',').map(Number);
+        const need = needOf(grid[oy][ox], utility.id);
+        const id = network[y * GRID_SIZE + x];
+        if (need <= capacity[id]) {
+          capacity[id] -= need;
+          served.add(owner);
+        }
+      }
+      for (const [nx, ny] of neighbors(x, y)) {
+        if (conducts(nx, ny) && !visited[ny * GRID_SIZE + nx]) {
+          visited[ny * GRID_SIZE + nx] = 1;
+          queue.push([nx, ny]);
+        }
+      }
+    }
+
+    const unserved = new Set<string>();
+    for (let y = 0; y < GRID_SIZE; y++) {
+      for (let x = 0; x < GRID_SIZE; x++) {
+        const tile = grid[y][x];
+        if (!tile.occupied && needOf(tile, utility.id) && !served.has(`${x},${y}`)) {
+          unserved.add(`${x},${y}`);
+        }
+      }
+    }
+    result[utility.id] = { supply, demand, unserved };
+  }
+  return result;
+}
+
+// =============================================================================
+// ZONING
+// =============================================================================
+
+// Zone changes for painting the rectangle between two corners. Roads can't be
+// zoned and tiles already in the zone are left alone; dezoning is free.
+function planZoning(grid: Tile[][], tool: Tool, start: { x: number; y: number }, end: { x: number; y: number }, money: number): ZoningPlan {
+  const zone = getToolZone(tool.type as ZoneTool);
+  const plan: ZoningPlan = { changes: [], cost: 0, unaffordable: 0 };
+  for (let y = Math.max(0, Math.min(start.y, end.y)); y <= Math.min(GRID_SIZE - 1, Math.max(start.y, end.y)); y++) {
+    for (let x = Math.max(0, Math.min(start.x, end.x)); x <= Math.min(GRID_SIZE - 1, Math.max(start.x, end.x)); x++) {
+      const tile = grid[y][x];
+      if (tile.building === 'road' || tile.zone === zone) continue;
+      if (money < plan.cost + tool.cost) {
+        plan.unaffordable++;
+        continue;
+      }
+      plan.changes.push({ x, y, from: tile.zone, to: zone });
+      plan.cost += tool.cost;
+    }
+  }
+  return plan;
+}
+
+// Buildings that grow in a zone: the ones from its tool category, leaving out
+// plants and towers the player places on purpose
+function getZoneBuildings(zone: ZoneType): Tool[] {
+  return TOOLS.filter(t => t.category === zone && isBuildingType(t.type) &&
+    !UTILITIES.some(u => u.supply[t.type as BuildingType]));
+}
+
+// How much each zone is wanted, from -1 to 1. Homes are wanted while there are
+// more jobs than workers; shops and industry while the workforce outnumbers
+// their jobs.
+function calculateDemand(grid: Tile[][], population: number): { demand: Record<ZoneType, number>; jobs: number } {
+  const jobs: Record<ZoneType | 'other', number> = { residential: 0, commercial: 0, industrial: 0, other: 0 };
+  for (let y = 0; y < GRID_SIZE; y++) {
+    for (let x = 0; x < GRID_SIZE; x++) {
+      const tile = grid[y][x];
+      const stats = tile.occupied || tile.state ? undefined : BUILDING_STATS[tile.building];
+      if (!stats?.jobs) continue;
+      const category = TOOLS.find(t => t.type === tile.building)?.category;
+      jobs[isZoneType(category) ? category : 'other'] += stats.jobs * getDensityFactor(tile);
+    }
+  }
+
+  const total = jobs.residential + jobs.commercial + jobs.industrial + jobs.other;
+  const workers = population * WORKFORCE_SHARE;
+  const shops = population * COMMERCE_SHARE;
+  const industry = workers - shops;
+  const clamp = (value: number) => Math.max(-1, Math.min(1, value));
+  return {
+    demand: {
+      residential: clamp((total + DEMAND_BASE - workers) / (workers + DEMAND_BASE)),
+      commercial: clamp((shops - jobs.commercial) / (shops + DEMAND_BASE)),
+      industrial: clamp((industry - jobs.industrial) / (industry + DEMAND_BASE)),
+    },
+    jobs: total,
+  };
+}
+
+// Buildings to grow this tick: for each zone in demand, up to GROWTH_PER_TICK
+// scaled by the demand, each on free tiles entirely in that zone and next to a road
+function planGrowth(grid: Tile[][], demand: Record<ZoneType, number>, now: number): SavedBuilding[] {
+  const work = grid.map(row => row.map(t => ({ ...t })));
+  const grown: SavedBuilding[] = [];
+  for (const zone of ZONES) {
+    if (demand[zone.id] <= 0) continue;
+    const tools = getZoneBuildings(zone.id);
+    let remaining = Math.ceil(demand[zone.id] * GROWTH_PER_TICK);
+
+    const fits = (x: number, y: number, size: number) => {
+      if (!isAreaFree(work, x, y, size) || !isFootprintOnRoad(work, x, y, size)) return false;
+      for (let dy = 0; dy < size; dy++) {
+        for (let dx = 0; dx < size; dx++) {
+          if (work[y + dy][x + dx].zone !== zone.id) return false;
+        }
+      }
+      return true;
+    };
+
+    while (remaining > 0) {
+      const sites: Array<{ x: number; y: number; tool: Tool }> = [];
+      for (let y = 0; y < GRID_SIZE; y++) {
+        for (let x = 0; x < GRID_SIZE; x++) {
+          if (work[y][x].zone !== zone.id) continue;
+          tools.forEach(tool => {
+            if (fits(x, y, tool.size)) sites.push({ x, y, tool });
+          });
+        }
+      }
+      if (sites.length === 0) break;
+      const site = sites[Math.floor(Math.random() * sites.length)];
+      const building: SavedBuilding = { type: site.tool.type, x: site.x, y: site.y, placedAt: now, cost: 0, state: 'construction' };
+      placeBuilding(work, building);
+      grown.push(building);
+      remaining--;
+    }
+  }
+  return grown;
+}
+
+// Advances construction, neglect and density by one tick. Sites finish once
+// they have stood for CONSTRUCTION_MS; a building neglected for ABANDON_TICKS
+// ticks in a row is abandoned, and comes back once it has been looked after as
+// long; one that meets its next level's requirements for UPGRADE_TICKS ticks in
+// a row grows into it. Returns the same grid when nothing changed.
+function stepBuildings(grid: Tile[][], economy: EconomyReport, now: number): Tile[][] {
+  const reports = new Map(economy.buildings.map(b => [`${b.x},${b.y}`, b]));
+  let next = grid;
+  const update = (x: number, y: number, changes: Partial<Tile>) => {
+    if (next === grid) next = grid.map(row => [...row]);
+    next[y][x] = { ...next[y][x], ...changes };
+  };
+
+  for (let y = 0; y < GRID_SIZE; y++) {
+    for (let x = 0; x < GRID_SIZE; x++) {
+      const tile = grid[y][x];
+      const report = reports.get(`${x},${y}`);
+      if (tile.occupied || !report || report.type !== tile.building) continue;
+
+      if (tile.state === 'construction') {
+        if (tile.placedAt === undefined || now - tile.placedAt >= CONSTRUCTION_MS) update(x, y, { state: undefined, neglect: 0 });
+        continue;
+      }
+
+      const neglect = Math.max(0, Math.min(ABANDON_TICKS, (tile.neglect || 0) + (report.neglect.length > 0 ? 1 : -1)));
+      if (!tile.state && neglect >= ABANDON_TICKS) {
+        update(x, y, { state: 'abandoned', neglect });
+      } else if (tile.state === 'abandoned' && neglect === 0) {
+        update(x, y, { state: undefined, neglect });
+      } else if (neglect !== (tile.neglect || 0)) {
+        update(x, y, { neglect });
+      }
+
+      const prosperity = report.upgrade?.length === 0 ? (tile.prosperity || 0) + 1 : 0;
+      if (prosperity >= UPGRADE_TICKS) {
+        update(x, y, { level: (tile.level || 1) + 1, prosperity: 0 });
+      } else if (prosperity !== (tile.prosperity || 0)) {
+        update(x, y, { prosperity });
+      }
+    }
+  }
+  return next;
+}
+
+// =============================================================================
+// SIMULATION
+// =============================================================================
+
+// Calculate population, income and upkeep for one tick of the simulation
+function calculateEconomy(grid: Tile[][]): EconomyReport {
+  const { services, homesServed } = calculateCoverage(grid);
+  const utilities = calculateUtilities(grid);
+
+  // Buildings without power or water hold fewer residents and earn less. Until
+  // the city has a plant for a utility nobody can have it, so going without it
+  // costs nothing yet and a new city's first homes fill up as usual.
+  const getUnserved = (x: number, y: number) => UTILITIES.filter(u => utilities[u.id].unserved.has(`${x},${y}`)).map(u => u.id);
+  const getPenalized = (x: number, y: number) => getUnserved(x, y).filter(utility => utilities[utility].supply > 0);
+  const getUtilityFactor = (x: number, y: number) => Math.pow(1 - UTILITY_PENALTY, getPenalized(x, y).length);
+
+  // Homes only fill up completely when every service covers them; homes that
+  // are being built or have been abandoned house nobody
+  const getCoverage = (x: number, y: number) =>
+    Object.fromEntries(SERVICES.map(service => [service.id, services[service.id].coverage[y * GRID_SIZE + x]])) as Record<ServiceType, number>;
+  const getServiceLevel = (x: number, y: number) =>
+    SERVICES.reduce((sum, service) => sum + services[service.id].coverage[y * GRID_SIZE + x], 0) / SERVICES.length;
+  const getResidents = (x: number, y: number) => {
+    const tile = grid[y][x];
+    const base = tile.occupied || tile.state ? 0 : (BUILDING_STATS[tile.building]?.residents || 0) * getDensityFactor(tile);
+    if (!base) return 0;
+    return Math.round(base * (1 - SERVICE_GROWTH + SERVICE_GROWTH * getServiceLevel(x, y)) * getUtilityFactor(x, y));
+  };
+
+  // Summed-area table of residents so "population near a shop" is O(1)
+  const residentSums: number[][] = [];
+  for (let y = 0; y <= GRID_SIZE; y++) {
+    residentSums[y] = new Array(GRID_SIZE + 1).fill(0);
+  }
+  for (let y = 0; y < GRID_SIZE; y++) {
+    for (let x = 0; x < GRID_SIZE; x++) {
+      const residents = getResidents(x, y);
+      residentSums[y + 1][x + 1] = residents + residentSums[y][x + 1] + residentSums[y + 1][x] - residentSums[y][x];
+    }
+  }
+
+  const residentsInArea = (x0: number, y0: number, x1: number, y1: number): number => {
+    const minX = Math.max(0, x0);
+    const minY = Math.max(0, y0);
+    const maxX = Math.min(GRID_SIZE, x1);
+    const maxY = Math.min(GRID_SIZE, y1);
+    if (minX >= maxX || minY >= maxY) return 0;
+    return residentSums[maxY][maxX] - residentSums[minY][maxX] - residentSums[maxY][minX] + residentSums[minY][minX];
+  };
+
+  // Amenities add happiness to every tile within their range, polluters take it
+  // away; services add theirs through coverage instead
+  const happinessBonus = new Float32Array(GRID_SIZE * GRID_SIZE);
+  for (let y = 0; y < GRID_SIZE; y++) {
+    for (let x = 0; x < GRID_SIZE; x++) {
+      const tile = grid[y][x];
+      const stats = tile.occupied || tile.state ? undefined : BUILDING_STATS[tile.building];
+      if (!stats || stats.happiness === 0 || getServiceOf(tile.building)) continue;
+
+      const size = getToolSize(tile.building);
+      let homes = 0;
+      for (let ty = Math.max(0, y - stats.range); ty < Math.min(GRID_SIZE, y + size + stats.range); ty++) {
+        for (let tx = Math.max(0, x - stats.range); tx < Math.min(GRID_SIZE, x + size + stats.range); tx++) {
+          happinessBonus[ty * GRID_SIZE + tx] += stats.happiness;
+          const other = grid[ty][tx];
+          if (!other.occupied && !other.state && BUILDING_STATS[other.building]?.residents) homes++;
+        }
+      }
+      homesServed.set(`${x},${y}`, homes);
+    }
+  }
+
+  const getHomeHappiness = (x: number, y: number) => {
+    const index = y * GRID_SIZE + x;
+    const fromServices = SERVICES.reduce((sum, service) => sum + services[service.id].happiness[index], 0);
+    return Math.round(Math.max(0, Math.min(100, BASE_HAPPINESS + happinessBonus[index] + fromServices)));
+  };
+
+  // Land is worth more near amenities and services and less near polluters
+  const getLandValue = (x: number, y: number) => {
+    const value = BASE_LAND_VALUE + happinessBonus[y * GRID_SIZE + x] + SERVICE_LAND_VALUE * getServiceLevel(x, y);
+    return Math.round(Math.max(0, Math.min(100, value)));
+  };
+
+  const report: EconomyReport = {
+    population: 0,
+    happiness: BASE_HAPPINESS,
+    income: 0,
+    upkeep: 0,
+    net: 0,
+    buildings: [],
+    coverage: services,
+    utilities: Object.fromEntries(UTILITIES.map(u => [u.id, {
+      supply: utilities[u.id].supply,
+      demand: utilities[u.id].demand,
+      unserved: utilities[u.id].unserved.size,
+    }])) as EconomyReport['utilities'],
+    demand: { residential: 0, commercial: 0, industrial: 0 },
+    jobs: 0,
+  };
+
+  // City happiness is the average over residents; it scales what they spend
+  let happinessTotal = 0;
+  for (let y = 0; y < GRID_SIZE; y++) {
+    for (let x = 0; x < GRID_SIZE; x++) {
+      const residents = getResidents(x, y);
+      report.population += residents;
+      happinessTotal += residents * getHomeHappiness(x, y);
+    }
+  }
+  if (report.population > 0) report.happiness = Math.round(happinessTotal / report.population);
+  const spending = 0.5 + report.happiness / 100;
+  // Shops and industry close when they can't cover their upkeep
+  const businesses = new Set(getZoneBuildings('commercial').concat(getZoneBuildings('industrial')).map(t => t.type));
+
+  for (let y = 0; y < GRID_SIZE; y++) {
+    for (let x = 0; x < GRID_SIZE; x++) {
+      const tile = grid[y][x];
+      if (tile.occupied) continue;
+      const stats = BUILDING_STATS[tile.building];
+      if (!stats) continue;
+
+      // Income the building would earn if it were open, so an abandoned shop
+      // can tell whether it is worth reopening. Denser buildings serve more.
+      const factor = getDensityFactor(tile);
+      let grossIncome = 0; // before the utility penalty
+      if (stats.baseIncome > 0 || stats.incomePerResident > 0) {
+        const size = getToolSize(tile.building);
+        const nearby = residentsInArea(x - stats.range, y - stats.range, x + size + stats.range, y + size + stats.range);
+        const customers = Math.min(nearby, stats.maxCustomers * factor);
+        grossIncome = (stats.baseIncome * factor + customers * stats.incomePerResident) * spending;
+      }
+      const potentialIncome = Math.floor(grossIncome * getUtilityFactor(x, y));
+      const income = tile.state ? 0 : potentialIncome;
+      // Buildings that are being built or have been abandoned cost nothing to run
+      const upkeep = tile.state ? 0 : stats.upkeep;
+      const happiness = stats.residents > 0 ? getHomeHappiness(x, y) : 0;
+      const unserved = getUnserved(x, y);
+      // Likewise going without a utility the city has no plant for doesn't neglect it
+      const blamed = getPenalized(x, y);
+      const unprofitable = businesses.has(tile.building) && potentialIncome <= stats.upkeep;
+      const connected = isConnectedToRoad(grid, x, y);
+      const landValue = getLandValue(x, y);
+
+      const neglect: string[] = [];
+      if (tile.state !== 'construction') {
+        for (const utility of blamed) neglect.push(`no ${UTILITIES.find(u => u.id === utility)!.name.toLowerCase()}`);
+        if (stats.residents > 0 && happiness < NEGLECT_HAPPINESS) neglect.push('unhappy');
+        if (unprofitable) neglect.push('unprofitable');
+      }
+
+      // Everything that stands between the building and its next level
+      const level = tile.level || 1;
+      const requirement = level < (DENSITY_LEVELS[tile.building]?.length || 1) ? LEVEL_REQUIREMENTS[level - 1] : undefined;
+      let upgrade: string[] | undefined;
+      if (requirement) {
+        const serviceLevel = getServiceLevel(x, y);
+        const localHappiness = getHomeHappiness(x, y);
+        upgrade = [];
+        if (tile.state) upgrade.push(tile.state === 'construction' ? 'under construction' : 'abandoned');
+        if (!connected) upgrade.push('no road');
+        unserved.forEach(utility => upgrade!.push(`no ${UTILITIES.find(u => u.id === utility)!.name.toLowerCase()}`));
+        if (unprofitable) upgrade.push('unprofitable');
+        if (landValue < requirement.landValue) upgrade.push(`land value ${landValue}/${requirement.landValue}`);
+        if (serviceLevel < requirement.services) {
+          upgrade.push(`services ${Math.round(serviceLevel * 100)}%/${Math.round(requirement.services * 100)}%`);
+        }
+        if (localHappiness < requirement.happiness) upgrade.push(`happiness ${localHappiness}/${requirement.happiness}`);
+      }
+
+      report.income += income;
+      report.upkeep += upkeep;
+      report.buildings.push({
+        x,
+        y,
+        type: tile.building,
+        connected,
+        happiness,
+        homesServed: homesServed.get(`${x},${y}`) || 0,
+        residents: getResidents(x, y),
+        income,
+        upkeep,
+        coverage: stats.residents > 0 ? getCoverage(x, y) : undefined,
+        unserved,
+        neglect,
+        landValue,
+        level,
+        upgrade,
+      });
+    }
+  }
+
+  const { demand, jobs } = calculateDemand(grid, report.population);
+  report.demand = demand;
+  report.jobs = jobs;
+  report.net = report.income - report.upkeep;
+  return report;
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+function getVisibleRange(canvas: HTMLCanvasElement, view: CameraView, margin: number): VisibleRange {
+  // Canvas corners in map pixels, relative to the map origin
+  const topLeft = canvasToWorld(view, 0, 0);
+  const bottomRight = canvasToWorld(view, canvas.width, canvas.height);
+  const left = topLeft.x - view.offsetX;
+  const right = bottomRight.x - view.offsetX;
+  const top = topLeft.y - view.offsetY;
+  const bottom = bottomRight.y - view.offsetY;
+  return {
+    minSum: Math.floor(top / (TILE_HEIGHT / 2)) - margin,
+    maxSum: Math.ceil(bottom / (TILE_HEIGHT / 2)) + margin,
+    minDiff: Math.floor(left / (TILE_WIDTH / 2)) - margin,
+    maxDiff: Math.ceil(right / (TILE_WIDTH / 2)) + margin,
+  };
+}
+
+// Range of x on row y that falls inside the visible range
+function getVisibleRow(range: VisibleRange, y: number): [number, number] {
+  const minX = Math.max(0, range.minSum - y, range.minDiff + y);
+  const maxX = Math.min(GRID_SIZE - 1, range.maxSum - y, range.maxDiff + y);
+  return [minX, maxX];
+}
+
+function isInVisibleRange(range: VisibleRange, x: number, y: number): boolean {
+  return x + y >= range.minSum && x + y <= range.maxSum && x - y >= range.minDiff && x - y <= range.maxDiff;
+}
+
+// The building anchored on a tile as drawn, or null; roads are part of the ground
+function getSortedBuilding(grid: Tile[][], x: number, y: number): SortedBuilding | null {
+  const tile = grid[y][x];
+  if (tile.building === 'grass' || tile.building === 'empty' || tile.building === 'road' || tile.occupied) return null;
+  const size = getToolSize(tile.building);
+  // Depth is based on the front-most corner of the building (x + size + y + size)
+  const depth = (x + size) + (y + size);
+  return { x, y, size, type: tile.building, placedAt: tile.placedAt, flipped: tile.flipped, state: tile.state, variant: tile.variant, level: tile.level, depth };
+}
+
+// Back to front; ties keep row-major order so a full sort and incremental
+// updates agree
+function compareDepth(a: SortedBuilding, b: SortedBuilding): number {
+  return a.depth - b.depth || a.y - b.y || a.x - b.x;
+}
+
+function sortBuildings(grid: Tile[][]): SortedBuilding[] {
+  const sorted: SortedBuilding[] = [];
+  for (let y = 0; y < GRID_SIZE; y++) {
+    for (let x = 0; x < GRID_SIZE; x++) {
+      const building = getSortedBuilding(grid, x, y);
+      if (building) sorted.push(building);
+    }
+  }
+  return sorted.sort(compareDepth);
+}
+
+// Bring a sorted list up to date after changes at a few anchors: what stood
+// there (or was cleared from under a placement) is dropped and whatever stands
+// there now is inserted at its depth, without rescanning the grid
+function updateSortedBuildings(sorted: SortedBuilding[], grid: Tile[][], anchors: Array<{ x: number; y: number }>): SortedBuilding[] {
+  const changed = new Set(anchors.map(({ x, y }) => y * GRID_SIZE + x));
+  const next = sorted.filter(b => !changed.has(b.y * GRID_SIZE + b.x) &&
+    grid[b.y][b.x].building === b.type && !grid[b.y][b.x].occupied);
+  changed.forEach(index => {
+    const building = getSortedBuilding(grid, index % GRID_SIZE, Math.floor(index / GRID_SIZE));
+    if (!building) return;
+    let low = 0;
+    let high = next.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (compareDepth(next[mid], building) < 0) low = mid + 1;
+      else high = mid;
+    }
+    next.splice(low, 0, building);
+  });
+  return next;
+}
+
+// Start a path around a tile-shaped diamond of the given size whose top corner
+// is at (x, y); callers fill or stroke it
+function traceTileDiamond(ctx: CanvasRenderingContext2D, x: number, y: number, w: number, h: number) {
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(x + w / 2, y + h / 2);
+  ctx.lineTo(x, y + h);
+  ctx.lineTo(x - w / 2, y + h / 2);
+  ctx.closePath();
+}
+
+// Where a building sprite is drawn, before any mirroring
+function getBuildingSpriteRect(
+  sprite: HTMLImageElement | HTMLCanvasElement,
+  building: { x: number; y: number; size: number },
+  offsetX: number,
+  offsetY: number,
+  anim: { offset: number; scale: number } = { offset: 0, scale: 1 },
+  anchor: { x: number; y: number } = DEFAULT_ANCHOR,
+): { x: number; y: number; width: number; height: number; anchorX: number } {
+  // Scale building to fit its footprint - larger footprint = slightly larger sprite
+  // Use sqrt to prevent huge visual differences between sizes
+  const baseScale = SPRITE_BASE_WIDTH / sprite.width;
+  const sizeMultiplier = 1 + (building.size - 1) * 0.3; // 1x1=1.0, 2x2=1.3, 3x3=1.6, 4x4=1.9
+  const scale = baseScale * sizeMultiplier * anim.scale;
+  const width = sprite.width * scale;
+  const height = sprite.height * scale;
+
+  // Anchor at the center of the footprint, with the sprite's anchor point on
+  // its front corner
+  const centerX = building.x + (building.size - 1) / 2;
+  const centerY = building.y + (building.size - 1) / 2;
+  const { screenX: anchorX, screenY: anchorY } = gridToScreen(centerX + 0.5, centerY + 0.5, offsetX, offsetY);
+
+  return {
+    x: anchorX - width * anchor.x,
+    y: anchorY - height * anchor.y + TILE_HEIGHT * building.size / 2 + anim.offset,
+    width,
+    height,
+    anchorX,
+  };
+}
+
+// Draw a building sprite standing on its footprint. Flipped buildings are
+// mirrored around the footprint anchor so they stay on their tiles.
+function drawBuildingSprite(
+  ctx: CanvasRenderingContext2D,
+  sprite: HTMLImageElement | HTMLCanvasElement,
+  building: { x: number; y: number; size: number; flipped?: boolean },
+  offsetX: number,
+  offsetY: number,
+  anim: { offset: number; scale: number; alpha: number },
+  anchor: { x: number; y: number } = DEFAULT_ANCHOR,
+) {
+  const { x: drawX, y: drawY, width: drawWidth, height: drawHeight, anchorX } = getBuildingSpriteRect(sprite, building, offsetX, offsetY, anim, anchor);
+
+  ctx.globalAlpha = anim.alpha;
+  if (building.flipped) {
+    ctx.save();
+    ctx.translate(anchorX, 0);
+    ctx.scale(-1, 1);
+    ctx.drawImage(sprite, drawX - anchorX, drawY, drawWidth, drawHeight);
+    ctx.restore();
+  } else {
+    ctx.drawImage(sprite, drawX, drawY, drawWidth, drawHeight);
+  }
+  ctx.globalAlpha = 1;
+}
+
+// Stand-in for a building whose sprite failed to load: a box on its footprint
+function drawBuildingBlock(
+  ctx: CanvasRenderingContext2D,
+  building: { x: number; y: number; size: number },
+  offsetX: number,
+  offsetY: number,
+  color: string,
+) {
+  const { x, y, size } = building;
+  const height = TILE_HEIGHT * size;
+  const top = gridToScreen(x, y, offsetX, offsetY);
+  const right = gridToScreen(x + size, y, offsetX, offsetY);
+  const bottom = gridToScreen(x + size, y + size, offsetX, offsetY);
+  const left = gridToScreen(x, y + size, offsetX, offsetY);
+
+  const face = (points: { screenX: number; screenY: number }[], shade: number) => {
+    ctx.beginPath();
+    points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.screenX, p.screenY) : ctx.lineTo(p.screenX, p.screenY)));
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.fill();
+    if (shade > 0) {
+      ctx.fillStyle = `rgba(0, 0, 0, ${shade})`;
+      ctx.fill();
+    }
+  };
+  const raise = (p: { screenX: number; screenY: number }) => ({ screenX: p.screenX, screenY: p.screenY - height });
+  face([left, bottom, raise(bottom), raise(left)], 0.25);
+  face([bottom, right, raise(right), raise(bottom)], 0.4);
+  face([raise(top), raise(right), raise(bottom), raise(left)], 0);
+}
+
+// Resolves to null rather than failing, so a missing sprite can fall back
+function loadImage(src: string): Promise<HTMLImageElement | null> {
+  return new Promise(resolve => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
+
+// Red copy of a sprite for ghost previews that can't be placed
+const tintedSpriteCache = new WeakMap<HTMLImageElement | HTMLCanvasElement, HTMLCanvasElement>();
+
+function getTintedSprite(sprite: HTMLImageElement | HTMLCanvasElement): HTMLCanvasElement {
+  const cached = tintedSpriteCache.get(sprite);
+  if (cached) return cached;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = sprite.width;
+  canvas.height = sprite.height;
+  const ctx = canvas.getContext('2d');
+  if (ctx) {
+    ctx.drawImage(sprite, 0, 0);
+    ctx.globalCompositeOperation = 'source-atop';
+    ctx.fillStyle = 'rgba(255, 60, 60, 0.55)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  tintedSpriteCache.set(sprite, canvas);
+  return canvas;
+}
+
+// Cut one frame out of a sprite sheet, keying out the red background and
+// trimming to what is left so it anchors like a regular sprite
+function sliceAtlasFrame(sheet: HTMLImageElement, rect: AtlasFrameDefinition['frame']): HTMLCanvasElement | null {
+  const frame = document.createElement('canvas');
+  frame.width = rect.w;
+  frame.height = rect.h;
+  const frameCtx = frame.getContext('2d', { willReadFrequently: true });
+  if (!frameCtx) return null;
+  frameCtx.drawImage(sheet, rect.x, rect.y, rect.w, rect.h, 0, 0, rect.w, rect.h);
+
+  const image = frameCtx.getImageData(0, 0, rect.w, rect.h);
+  const data = image.data;
+  let minX = rect.w;
+  let minY = rect.h;
+  let maxX = -1;
+  let maxY = -1;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i] > 150 && data[i + 1] < 80 && data[i + 2] < 80) data[i + 3] = 0;
+    if (data[i + 3] === 0) continue;
+    const px = (i / 4) % rect.w;
+    const py = Math.floor(i / 4 / rect.w);
+    minX = Math.min(minX, px);
+    minY = Math.min(minY, py);
+    maxX = Math.max(maxX, px);
+    maxY = Math.max(maxY, py);
+  }
+  if (maxX < 0) return null;
+
+  const trimmed = document.createElement('canvas');
+  trimmed.width = maxX - minX + 1;
+  trimmed.height = maxY - minY + 1;
+  trimmed.getContext('2d')?.putImageData(image, -minX, -minY, minX, minY, trimmed.width, trimmed.height);
+  return trimmed;
+}
+
+// Scaled-down copy of a frame for the style picker
+function getAtlasThumbnail(image: HTMLCanvasElement): string {
+  const scale = ATLAS_THUMBNAIL_SIZE / Math.max(image.width, image.height);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.width * scale));
+  canvas.height = Math.max(1, Math.round(image.height * scale));
+  canvas.getContext('2d')?.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL();
+}
+
+// The usable frames of one sheet. A missing or malformed definition loses the
+// whole sheet; a frame naming an unknown building (decoration included), or
+// one whose footprint doesn't match that building's size, is skipped on its own.
+async function loadAtlasSheet(key: string): Promise<AtlasFrame[]> {
+  let definition: AtlasDefinition;
+  try {
+    const response = await fetch(`${ATLAS_PATH}/${key}.json`);
+    if (!response.ok) return [];
+    definition = await response.json();
+  } catch (e) {
+    console.error(`Failed to read atlas ${key}`, e);
+    return [];
+  }
+  if (!definition || typeof definition.image !== 'string' || !definition.frames || typeof definition.frames !== 'object') return [];
+  const usable: { name: string; frame: AtlasFrameDefinition; building: BuildingType; state?: BuildingState }[] = [];
+  for (const [name, frame] of Object.entries(definition.frames)) {
+    const { building, state, variant } = frame;
+    if (building === undefined || !isBuildingType(building) || frame.footprint !== getToolSize(building)) continue;
+    if (state !== undefined && !isBuildingState(state)) continue;
+    if (variant !== undefined && (state === undefined || typeof variant !== 'string')) continue;
+    usable.push({ name, frame, building, state });
+  }
+  // A sheet of decoration only isn't worth downloading
+  if (usable.length === 0) return [];
+  const sheet = await loadImage(`${SPRITE_SHEET_PATH}/${definition.image}`);
+  if (!sheet) return [];
+
+  const frames: AtlasFrame[] = [];
+  for (const { name, frame, building, state } of usable) {
+    const image = sliceAtlasFrame(sheet, frame.frame);
+    if (!image) continue;
+    frames.push({
+      id: `${key}/${name}`,
+      name: frame.name,
+      building,
+      state,
+      variant: frame.variant,
+      image,
+      anchor: frame.anchor || DEFAULT_ANCHOR,
+      thumbnail: state ? '' : getAtlasThumbnail(image),
+    });
+  }
+  return frames;
+}
+
+async function loadAtlas(): Promise<SpriteAtlas> {
+  const sheets = await Promise.all(ATLAS_SHEETS.map(loadAtlasSheet));
+  const atlas: SpriteAtlas = { frames: {}, variants: {}, states: { construction: {}, abandoned: {} }, variantStates: {} };
+  sheets.flat().forEach(frame => {
+    atlas.frames[frame.id] = frame;
+    if (frame.state && frame.variant) {
+      (atlas.variantStates[frame.variant] ??= {})[frame.state] ??= frame;
+    } else if (frame.state) {
+      atlas.states[frame.state][frame.building] ??= frame;
+    } else {
+      (atlas.variants[frame.building] ??= []).push(frame);
+    }
+  });
+  return atlas;
 }
 
-interface Tool {
-  type: BuildingType | 'bulldoze';
-  name: string;
-  cost: number;
-  sprite: BuildingType;
-  size: number; // 1 = 1x1, 2 = 2x2
-  category: 'residential' | 'commercial' | 'industrial' | 'services' | 'parks' | 'tools';
+// What a building is drawn with: its variant's construction or abandoned art,
+// else its building's, else one of its density level's frames, else the atlas
+// variant it was placed as, else the theme sprite. `faded` is set when a
+// building in a state has no art for it and falls back to its regular look.
+function getBuildingImage(
+  building: { x: number; y: number; type: BuildingType; state?: BuildingState; variant?: string; level?: number },
+  sprites: Record<string, HTMLImageElement>,
+  atlas: SpriteAtlas | null | undefined,
+): { image: HTMLImageElement | HTMLCanvasElement; anchor: { x: number; y: number }; faded: boolean } | null {
+  const variantStateFrame = building.state && building.variant
+    ? atlas?.variantStates[building.variant]?.[building.state]
+    : undefined;
+  const stateFrame = variantStateFrame?.building === building.type
+    ? variantStateFrame
+    : building.state ? atlas?.states[building.state][building.type] : undefined;
+  if (stateFrame) return { image: stateFrame.image, anchor: stateFrame.anchor, faded: false };
+  const variant = building.variant ? atlas?.frames[building.variant] : undefined;
+  const faded = !!building.state;
+  const levelFrames = (getDensityLevel(building.type, building.level)?.frames || [])
+    .map(id => atlas?.frames[id])
+    .filter((frame): frame is AtlasFrame => frame?.building === building.type);
+  if (levelFrames.length > 0) {
+    const frame = levelFrames[(building.x * 31 + building.y * 17) % levelFrames.length];
+    return { image: frame.image, anchor: frame.anchor, faded };
+  }
+  if (variant && variant.building === building.type) return { image: variant.image, anchor: variant.anchor, faded };
+  const sprite = sprites[building.type];
+  return sprite ? { image: sprite, anchor: DEFAULT_ANCHOR, faded } : null;
 }
 
-interface Theme {
-  id: string;
-  name: string;
-  path: string;
+// Everything that changes how a ground chunk looks, so unchanged chunks keep
+// their cached canvas when the grid changes elsewhere
+function getGroundSignatures(grid: Tile[][]): string[] {
+  const signatures: string[] = [];
+  for (let cy = 0; cy < GROUND_CHUNKS; cy++) {
+    for (let cx = 0; cx < GROUND_CHUNKS; cx++) {
+      let signature = '';
+      for (let y = cy * GROUND_CHUNK_SIZE; y < Math.min(GRID_SIZE, (cy + 1) * GROUND_CHUNK_SIZE); y++) {
+        for (let x = cx * GROUND_CHUNK_SIZE; x < Math.min(GRID_SIZE, (cx + 1) * GROUND_CHUNK_SIZE); x++) {
+          const tile = grid[y][x];
+          signature += tile.building === 'road'
+            ? getRoadMask(grid, x, y).toString(16)
+            : tile.zone ? ZONES.find(z => z.id === tile.zone)!.letter : '.';
+        }
+      }
+      signatures.push(signature);
+    }
+  }
+  return signatures;
 }
 
-interface Particle {
-  x: number;
-  y: number;
-  vx: number;
-  vy: number;
-  life: number;
-  maxLife: number;
-  color: string;
-  size: number;
+// Draw grass, zones and roads for one chunk into its own canvas
+function renderGroundChunk(grid: Tile[][], cx: number, cy: number, grassSprite: HTMLImageElement | undefined, signature: string): GroundChunk {
+  const x0 = cx * GROUND_CHUNK_SIZE;
+  const y0 = cy * GROUND_CHUNK_SIZE;
+  const x1 = Math.min(GRID_SIZE, x0 + GROUND_CHUNK_SIZE) - 1;
+  const y1 = Math.min(GRID_SIZE, y0 + GROUND_CHUNK_SIZE) - 1;
+
+  const grassWidth = grassSprite ? grassSprite.width * GRASS_SCALE : TILE_WIDTH;
+  const grassHeight = grassSprite ? grassSprite.height * GRASS_SCALE : TILE_HEIGHT;
+  const padX = Math.max(grassWidth, TILE_WIDTH) / 2;
+  const padTop = Math.max(0, grassHeight / 2 - TILE_HEIGHT / 2);
+  const padBottom = Math.max(TILE_HEIGHT, grassHeight / 2 + TILE_HEIGHT / 2);
+
+  const left = Math.floor((x0 - y1) * (TILE_WIDTH / 2) - padX);
+  const right = Math.ceil((x1 - y0) * (TILE_WIDTH / 2) + padX);
+  const top = Math.floor((x0 + y0) * (TILE_HEIGHT / 2) - padTop);
+  const bottom = Math.ceil((x1 + y1) * (TILE_HEIGHT / 2) + padBottom);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = right - left;
+  canvas.height = bottom - top;
+  const ctx = canvas.getContext('2d');
+  if (ctx) {
+    const roadSprites = getRoadSprites();
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const { screenX, screenY } = gridToScreen(x, y, -left, -top);
+        if (grassSprite) {
+          ctx.drawImage(grassSprite, screenX - grassWidth / 2, screenY - grassHeight / 2 + TILE_HEIGHT / 2, grassWidth, grassHeight);
+        }
+      }
+    }
+    // Zones tint the grass, inset a little so neighbouring zones read apart
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        const zone = ZONES.find(z => z.id === grid[y][x].zone);
+        if (!zone || grid[y][x].building === 'road') continue;
+        const { screenX, screenY } = gridToScreen(x, y, -left, -top);
+        traceTileDiamond(ctx, screenX, screenY + 2, TILE_WIDTH - 8, TILE_HEIGHT - 4);
+        ctx.fillStyle = `rgba(${zone.color}, 0.35)`;
+        ctx.fill();
+        ctx.strokeStyle = `rgba(${zone.color}, 0.7)`;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+      }
+    }
+    // Roads go on top of all the grass so grass overhang never covers them
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        if (grid[y][x].building !== 'road') continue;
+        const { screenX, screenY } = gridToScreen(x, y, -left, -top);
+        ctx.drawImage(roadSprites[getRoadMask(grid, x, y)], screenX - TILE_WIDTH / 2, screenY);
+      }
+    }
+  }
+  return { canvas, signature, left, top };
 }
 
-// =============================================================================
-// CONSTANTS
-// =============================================================================
-const GRID_SIZE = 60;
-const TILE_WIDTH = 64;
-const TILE_HEIGHT = 32;
-const STARTING_MONEY = 100000;
+// The layers below are shared by the live view and the image export, so an
+// export matches what is on screen
 
-const THEMES: Theme[] = [
-  { id: 'cyberpunk', name: 'Cyberpunk City', path: '/assets/cyberpunk_city_Cyberpunk_City/assets' },
-  { id: 'fantasy', name: 'Fantasy Kingdom', path: '/assets/fantasy_kingdom_Fantasy_Kingdom/assets' },
-  { id: 'japanese', name: 'Japanese Town', path: '/assets/japanese_town_Japanese_Town/assets' },
-  { id: 'medieval', name: 'Medieval Village', path: '/assets/medieval_village_Medieval_Village/assets' },
-  { id: 'space', name: 'Space Colony', path: '/assets/space_colony_Space_Colony/assets' },
-  { id: 'steampunk', name: 'Steampunk City', path: '/assets/steampunk_city_Steampunk_City/assets' },
-  { id: 'tropical', name: 'Tropical Resort', path: '/assets/tropical_resort_Tropical_Resort/assets' },
-  { id: 'underwater', name: 'Underwater City', path: '/assets/underwater_city_Underwater_City/assets' },
-  { id: 'wildwest', name: 'Wild West Town', path: '/assets/wild_west_town_Wild_West_Town/assets' },
-  { id: 'candy', name: 'Candy Land', path: '/assets/candy_land_Candy_Land/assets' },
-];
+function drawBackground(ctx: CanvasRenderingContext2D, width: number, height: number) {
+  const gradient = ctx.createLinearGradient(0, 0, 0, height);
+  gradient.addColorStop(0, '#1a1a2e');
+  gradient.addColorStop(1, '#16213e');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+}
 
-// Building sizes and costs - bigger = more expensive, creates interesting tiling
-const TOOLS: Tool[] = [
-  // Tiny 1x1 - houses are the smallest unit
-  { type: 'house', name: 'House', cost: 100, sprite: 'house', size: 1, category: 'residential' },
-  // Small 2x2 - parks and shops
-  { type: 'park', name: 'Park', cost: 300, sprite: 'park', size: 2, category: 'parks' },
-  { type: 'shop', name: 'Shop', cost: 400, sprite: 'shop', size: 2, category: 'commercial' },
-  // Medium 3x3 - markets
-  { type: 'market', name: 'Market', cost: 1200, sprite: 'market', size: 3, category: 'industrial' },
-  // Large 4x4 - university is the biggest
-  { type: 'university', name: 'University', cost: 3000, sprite: 'university', size: 4, category: 'services' },
-  // Tools
-  { type: 'bulldoze', name: 'Bulldoze', cost: 5, sprite: 'grass', size: 1, category: 'tools' },
-];
+// Ground chunks in range, rendered into `cache` when missing or out of date
+function drawGround(
+  ctx: CanvasRenderingContext2D,
+  grid: Tile[][],
+  grassSprite: HTMLImageElement | undefined,
+  cache: Map<number, GroundChunk>,
+  signatures: string[],
+  range: VisibleRange,
+  offsetX: number,
+  offsetY: number,
+) {
+  for (let cy = 0; cy < GROUND_CHUNKS; cy++) {
+    for (let cx = 0; cx < GROUND_CHUNKS; cx++) {
+      const centerX = cx * GROUND_CHUNK_SIZE + GROUND_CHUNK_SIZE / 2;
+      const centerY = cy * GROUND_CHUNK_SIZE + GROUND_CHUNK_SIZE / 2;
+      if (!isInVisibleRange(range, centerX, centerY)) continue;
 
-// Sound configurations for different building types
-const BUILDING_SOUNDS: Record<string, { note: string; type: 'place' | 'special' }> = {
-  house: { note: 'C4', type: 'place' },
-  shop: { note: 'E4', type: 'place' },
-  market: { note: 'G4', type: 'place' },
-  university: { note: 'C5', type: 'special' },
-  park: { note: 'A4', type: 'place' },
-};
+      const index = cy * GROUND_CHUNKS + cx;
+      let chunk = cache.get(index);
+      if (!chunk || chunk.signature !== signatures[index]) {
+        chunk = renderGroundChunk(grid, cx, cy, grassSprite, signatures[index]);
+        cache.set(index, chunk);
+      }
+      ctx.drawImage(chunk.canvas, chunk.left + offsetX, chunk.top + offsetY);
+    }
+  }
+}
 
-// =============================================================================
-// HELPERS
-// =============================================================================
-function gridToScreen(x: number, y: number, offsetX: number, offsetY: number): { screenX: number; screenY: number } {
-  const screenX = (x - y) * (TILE_WIDTH / 2) + offsetX;
-  const screenY = (x + y) * (TILE_HEIGHT / 2) + offsetY;
-  return { screenX, screenY };
+// Buildings in depth order. `insert` is drawn at its depth among them (the
+// ghost preview), `hidden` is skipped (a building being moved), and buildings
+// placed less than 300ms before `now` drop in; without `now` nothing animates.
+// Images come from getBuildingImage, so atlas variants and state art are used
+// once `atlas` has loaded.
+function drawBuildings(
+  ctx: CanvasRenderingContext2D,
+  buildings: SortedBuilding[],
+  sprites: Record<string, HTMLImageElement>,
+  range: VisibleRange,
+  offsetX: number,
+  offsetY: number,
+  options: {
+    now?: number;
+    hidden?: { x: number; y: number } | null;
+    insert?: { depth: number; draw: () => void } | null;
+    alerts?: Map<string, string[]> | null; // icons to show over buildings, keyed "x,y"
+    atlas?: SpriteAtlas | null;
+  } = {},
+) {
+  const { now, hidden, insert, alerts, atlas } = options;
+  let inserted = false;
+  for (const building of buildings) {
+    if (!inserted && insert && building.depth > insert.depth) {
+      insert.draw();
+      inserted = true;
+    }
+    if (!isInVisibleRange(range, building.x, building.y)) continue;
+    if (hidden && building.x === hidden.x && building.y === hidden.y) continue;
+    const buildingImage = getBuildingImage(building, sprites, atlas);
+    const icons = alerts?.get(`${building.x},${building.y}`);
+    if (!buildingImage) {
+      drawBuildingBlock(ctx, building, offsetX, offsetY, BUILDING_COLORS[building.type] || BUILDING_COLORS.grass);
+      if (icons) {
+        const { screenX, screenY } = gridToScreen(building.x, building.y, offsetX, offsetY);
+        drawBuildingAlert(ctx, icons, screenX, screenY - TILE_HEIGHT * building.size);
+      }
+      continue;
+    }
+
+    // Calculate animation
+    let animOffset = 0;
+    let animScale = 1;
+    let animAlpha = 1;
+    if (now !== undefined && building.placedAt) {
+      const elapsed = now - building.placedAt;
+      if (elapsed < 300) {
+        const progress = elapsed / 300;
+        const bounce = Math.sin(progress * Math.PI) * (1 - progress);
+        animOffset = -50 * (1 - progress) - bounce * 20;
+        animScale = 0.8 + 0.2 * progress + bounce * 0.1;
+        animAlpha = 0.7 + 0.3 * progress;
+      }
+    }
+    if (buildingImage.faded) animAlpha *= 0.6;
+
+    const { image, anchor } = buildingImage;
+    drawBuildingSprite(ctx, image, building, offsetX, offsetY, { offset: animOffset, scale: animScale, alpha: animAlpha }, anchor);
+    if (icons) {
+      const rect = getBuildingSpriteRect(image, building, offsetX, offsetY, undefined, anchor);
+      drawBuildingAlert(ctx, icons, rect.anchorX, rect.y);
+    }
+  }
+  if (!inserted && insert) insert.draw();
 }
 
-function screenToGrid(screenX: number, screenY: number, offsetX: number, offsetY: number): { gridX: number; gridY: number } {
-  const adjustedX = screenX - offsetX;
-  const adjustedY = screenY - offsetY;
-  const gridX = Math.floor((adjustedX / (TILE_WIDTH / 2) + adjustedY / (TILE_HEIGHT / 2)) / 2);
-  const gridY = Math.floor((adjustedY / (TILE_HEIGHT / 2) - adjustedX / (TILE_WIDTH / 2)) / 2);
-  return { gridX, gridY };
+// Warning badges in a row above a building, e.g. the "no power" bolt
+function drawBuildingAlert(ctx: CanvasRenderingContext2D, icons: string[], x: number, y: number) {
+  const radius = 11;
+  ctx.font = '13px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  icons.forEach((icon, i) => {
+    const cx = x + (i - (icons.length - 1) / 2) * (radius * 2 + 4);
+    const cy = y - radius;
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(127, 29, 29, 0.9)';
+    ctx.fill();
+    ctx.strokeStyle = '#f87171';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    ctx.fillStyle = '#fff';
+    ctx.fillText(icon, cx, cy + 1);
+  });
+  ctx.textBaseline = 'alphabetic';
 }
 
-function createEmptyGrid(): Tile[][] {
-  const grid: Tile[][] = [];
+// Map-space rectangle (gridToScreen with no offset) for an image export: the
+// whole map or the built tiles plus a small margin, widened to fit every sprite
+function getImageBounds(
+  grid: Tile[][],
+  buildings: SortedBuilding[],
+  sprites: Record<string, HTMLImageElement>,
+  wholeMap: boolean,
+  atlas: SpriteAtlas | null = null,
+): { left: number; top: number; width: number; height: number } {
+  let minX = 0;
+  let minY = 0;
+  let maxX = GRID_SIZE - 1;
+  let maxY = GRID_SIZE - 1;
+  if (!wholeMap) {
+    const built = { minX: GRID_SIZE, minY: GRID_SIZE, maxX: -1, maxY: -1 };
+    for (let y = 0; y < GRID_SIZE; y++) {
+      for (let x = 0; x < GRID_SIZE; x++) {
+        if (grid[y][x].building === 'grass' || grid[y][x].building === 'empty') continue;
+        built.minX = Math.min(built.minX, x);
+        built.minY = Math.min(built.minY, y);
+        built.maxX = Math.max(built.maxX, x);
+        built.maxY = Math.max(built.maxY, y);
+      }
+    }
+    if (built.maxX >= 0) {
+      const margin = 2;
+      minX = Math.max(0, built.minX - margin);
+      minY = Math.max(0, built.minY - margin);
+      maxX = Math.min(GRID_SIZE - 1, built.maxX + margin);
+      maxY = Math.min(GRID_SIZE - 1, built.maxY + margin);
+    }
+  }
+
+  let left = (minX - maxY - 1) * (TILE_WIDTH / 2);
+  let right = (maxX - minY + 1) * (TILE_WIDTH / 2);
+  let top = (minX + minY) * (TILE_HEIGHT / 2) - TILE_HEIGHT;
+  const bottom = (maxX + maxY + 2) * (TILE_HEIGHT / 2) + TILE_HEIGHT;
+  buildings.forEach(building => {
+    const buildingImage = getBuildingImage(building, sprites, atlas);
+    if (!buildingImage || building.x < minX || building.x > maxX || building.y < minY || building.y > maxY) return;
+    const rect = getBuildingSpriteRect(buildingImage.image, building, 0, 0, undefined, buildingImage.anchor);
+    left = Math.min(left, rect.x);
+    right = Math.max(right, rect.x + rect.width);
+    top = Math.min(top, rect.y);
+  });
+  return { left: Math.floor(left), top: Math.floor(top), width: Math.ceil(right - left), height: Math.ceil(bottom - top) };
+}
+
+// The requested scale, reduced if needed so the canvas can still be allocated
+function getImageScale(bounds: { width: number; height: number }, scale: number): number {
+  return Math.min(
+    scale,
+    MAX_IMAGE_SIDE / bounds.width,
+    MAX_IMAGE_SIDE / bounds.height,
+    Math.sqrt(MAX_IMAGE_AREA / (bounds.width * bounds.height)),
+  );
+}
+
+// Render the city offscreen with the same ground and building layers as the
+// live view, minus hover previews and particles
+function renderCityImage(
+  grid: Tile[][],
+  buildings: SortedBuilding[],
+  sprites: Record<string, HTMLImageElement>,
+  groundCache: Map<number, GroundChunk>,
+  groundSignatures: string[],
+  options: ImageExportOptions,
+  atlas: SpriteAtlas | null = null,
+): HTMLCanvasElement {
+  const bounds = getImageBounds(grid, buildings, sprites, options.wholeMap, atlas);
+  const scale = getImageScale(bounds, options.scale);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(bounds.width * scale);
+  canvas.height = Math.ceil(bounds.height * scale);
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return canvas;
+
+  if (options.background) drawBackground(ctx, canvas.width, canvas.height);
+  ctx.scale(scale, scale);
+  const everything: VisibleRange = { minSum: 0, maxSum: 2 * GRID_SIZE, minDiff: -GRID_SIZE, maxDiff: GRID_SIZE };
+  drawGround(ctx, grid, sprites['grass'], groundCache, groundSignatures, everything, -bounds.left, -bounds.top);
+  drawBuildings(ctx, buildings, sprites, everything, -bounds.left, -bounds.top, { atlas });
+  return canvas;
+}
+
+// Tiles of the minimap, drawn in the same iso orientation as the main view so
+// the viewport is a plain rectangle on it. Map space (gridToScreen with no
+// offset) maps to minimap pixels as mapX * MINIMAP_SCALE + GRID_SIZE * 2.
+function renderMinimapBase(grid: Tile[][]): HTMLCanvasElement {
+  const canvas = document.createElement('canvas');
+  canvas.width = GRID_SIZE * 4;
+  canvas.height = GRID_SIZE * 2;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return canvas;
+
   for (let y = 0; y < GRID_SIZE; y++) {
-    grid[y] = [];
     for (let x = 0; x < GRID_SIZE; x++) {
-      grid[y][x] = { building: 'grass', occupied: false };
+      const type = getBuildingAt(grid, x, y)?.type || 'grass';
+      ctx.fillStyle = BUILDING_COLORS[type] || BUILDING_COLORS.grass;
+      ctx.fillRect((x - y) * 2 + GRID_SIZE * 2 - 2, x + y, 4, 2);
     }
   }
-  return grid;
+  return canvas;
 }
 
 // =============================================================================
@@ -249,6 +2764,11 @@ class SoundManager {
     this.synth.triggerAttackRelease(['E3', 'Eb3'], '32n');
   }
 
+  playSelect() {
+    if (!this.synth) return;
+    this.synth.triggerAttackRelease(['G4'], '32n');
+  }
+
   playThemeChange() {
     if (!this.synth) return;
     const notes = ['C4', 'E4', 'G4', 'C5'];
@@ -271,10 +2791,14 @@ export default function Game() {
   const animationFrameRef = useRef<number>(0);
 
   const [grid, setGrid] = useState<Tile[][]>(() => createEmptyGrid());
+  // Anchors changed since the buildings were last depth sorted; null re-sorts them all
+  const sortChangesRef = useRef<Array<{ x: number; y: number }> | null>(null);
+  const sortedCacheRef = useRef<{ buildings: SortedBuilding[]; latestPlacement: number } | null>(null);
   const [money, setMoney] = useState(STARTING_MONEY);
   const [selectedTool, setSelectedTool] = useState<Tool>(TOOLS[0]);
   const [selectedTheme, setSelectedTheme] = useState<Theme>(THEMES[0]);
   const [sprites, setSprites] = useState<Record<string, HTMLImageElement>>({});
+  const [atlas, setAtlas] = useState<SpriteAtlas | null>(null);
   const [hoveredTile, setHoveredTile] = useState<{ x: number; y: number } | null>(null);
   const [spritesLoaded, setSpritesLoaded] = useState(false);
   const [soundInitialized, setSoundInitialized] = useState(false);
@@ -287,6 +2811,315 @@ export default function Game() {
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
   const [cameraStart, setCameraStart] = useState({ x: 0, y: 0 });
 
+  // Camera animation: the wheel sets a zoom target that is eased toward while
+  // keeping the point under the cursor fixed, and a released pan keeps gliding
+  const cameraRef = useRef({ camera, zoom });
+  const zoomTargetRef = useRef<{ zoom: number; anchorX: number; anchorY: number } | null>(null);
+  const panVelocityRef = useRef({ x: 0, y: 0 }); // map px per ms
+  const panTrackRef = useRef({ x: 0, y: 0, time: 0 });
+  const cameraFrameRef = useRef({ id: 0, time: 0 });
+  const pointerRef = useRef<{ x: number; y: number } | null>(null); // last cursor position on the canvas
+
+  useEffect(() => {
+    cameraRef.current = { camera, zoom };
+  }, [camera, zoom]);
+
+  const stepCamera = useCallback((time: number) => {
+    const canvas = canvasRef.current;
+    if (!canvas) {
+      cameraFrameRef.current = { id: 0, time };
+      return;
+    }
+    const dt = Math.min(50, time - cameraFrameRef.current.time);
+    let { x, y } = cameraRef.current.camera;
+    let z = cameraRef.current.zoom;
+    let animating = false;
+
+    const target = zoomTargetRef.current;
+    if (target) {
+      const next = Math.abs(target.zoom - z) < 0.001 ? target.zoom : z + (target.zoom - z) * ZOOM_EASING;
+      const anchorX = target.anchorX - canvas.width / 2;
+      const anchorY = target.anchorY - canvas.height / 2;
+      x += anchorX / next - anchorX / z;
+      y += anchorY / next - anchorY / z;
+      z = next;
+      if (z === target.zoom) zoomTargetRef.current = null;
+      else animating = true;
+    }
+
+    const velocity = panVelocityRef.current;
+    if (velocity.x !== 0 || velocity.y !== 0) {
+      x += velocity.x * dt;
+      y += velocity.y * dt;
+      const decay = Math.pow(PAN_FRICTION, dt / 16);
+      velocity.x *= decay;
+      velocity.y *= decay;
+      if (Math.hypot(velocity.x, velocity.y) < MIN_PAN_SPEED) panVelocityRef.current = { x: 0, y: 0 };
+      else animating = true;
+    }
+
+    cameraRef.current = { camera: { x, y }, zoom: z };
+    setCamera({ x, y });
+    setZoom(z);
+    cameraFrameRef.current = { id: animating ? requestAnimationFrame(stepCamera) : 0, time };
+  }, []);
+
+  const startCameraAnimation = useCallback(() => {
+    if (cameraFrameRef.current.id) return;
+    cameraFrameRef.current = { id: requestAnimationFrame(stepCamera), time: performance.now() };
+  }, [stepCamera]);
+
+  const stopCameraAnimation = useCallback(() => {
+    cancelAnimationFrame(cameraFrameRef.current.id);
+    cameraFrameRef.current = { id: 0, time: 0 };
+    zoomTargetRef.current = null;
+    panVelocityRef.current = { x: 0, y: 0 };
+  }, []);
+
+  useEffect(() => stopCameraAnimation, [stopCameraAnimation]);
+
+  // Build or bulldoze drag (grid coordinates)
+  const [toolDrag, setToolDrag] = useState<{ start: { x: number; y: number }; end: { x: number; y: number } } | null>(null);
+
+  // Save slots
+  const [saveSlots, setSaveSlots] = useState<SaveSlot[]>([]);
+  const [showSaveDialog, setShowSaveDialog] = useState(false);
+  const [saveName, setSaveName] = useState('');
+  const autosavePendingRef = useRef(false);
+  const importInputRef = useRef<HTMLInputElement>(null);
+  const [fileError, setFileError] = useState<string | null>(null);
+
+  // Keyboard shortcuts; `rebinding` is the action key slot waiting for a new key
+  const [keyBindings, setKeyBindings] = useState<KeyBindings>(getDefaultKeyBindings);
+  const [rebinding, setRebinding] = useState<{ actionId: string; slot: number } | null>(null);
+  const [showHelp, setShowHelp] = useState(false);
+  const [showKeyBindings, setShowKeyBindings] = useState(false);
+  // Image export dialog
+  const [showImageExport, setShowImageExport] = useState(false);
+  const [imageExport, setImageExport] = useState<ImageExportOptions>({ scale: 2, background: true, wholeMap: false });
+
+  // City that Ctrl+S saves over: the one last saved or loaded
+  const [activeSave, setActiveSave] = useState<{ id: string; name: string } | null>(null);
+
+  // Timelapse: every grid change is logged; while the player is open the canvas
+  // shows the log replayed up to `step` instead of the live city
+  const [timelapseLog, setTimelapseLog] = useState<TimelapseEntry[]>([]);
+  const [timelapse, setTimelapse] = useState<{ step: number; playing: boolean; speed: number } | null>(null);
+  const [recording, setRecording] = useState(false);
+  const replayRef = useRef<{ step: number; grid: Tile[][] } | null>(null);
+  const recorderRef = useRef<MediaRecorder | null>(null);
+
+  // Service whose coverage is tinted over the map, if any
+  const [coverageOverlay, setCoverageOverlay] = useState<ServiceType | null>(null);
+
+  // Building inspector and the building being moved from it
+  const [inspected, setInspected] = useState<{ x: number; y: number } | null>(null);
+  const [moving, setMoving] = useState<SavedBuilding | null>(null);
+  // Orientation new buildings are placed with (R toggles it)
+  const [previewFlipped, setPreviewFlipped] = useState(false);
+  const [showReplace, setShowReplace] = useState(false);
+
+  // Undo/redo history
+  const [undoStack, setUndoStack] = useState<HistoryEntry[]>([]);
+  const [redoStack, setRedoStack] = useState<HistoryEntry[]>([]);
+
+  function createSave(name: string): SaveData {
+    return {
+      version: SAVE_VERSION,
+      name,
+      savedAt: Date.now(),
+      money,
+      themeId: selectedTheme.id,
+      camera,
+      zoom,
+      buildings: getBuildingsFromGrid(grid),
+      zones: getZonesFromGrid(grid),
+      timelapse: compactTimelapse(timelapseLog),
+    };
+  }
+
+  function applySave(save: SaveData) {
+    setUndoStack([]);
+    setRedoStack([]);
+    noteSortChanges(null);
+    setGrid(applySavedZones(buildGridFromBuildings(save.buildings), save.zones));
+    setTimelapseLog(save.timelapse);
+    setMoney(save.money);
+    setSelectedTheme(THEMES.find(t => t.id === save.themeId) || THEMES[0]);
+    stopCameraAnimation();
+    setCamera(save.camera);
+    setZoom(save.zoom);
+  }
+
+  const timelapseStep = timelapse?.step ?? null;
+  const replayGrid = useMemo(() => {
+    if (timelapseStep === null) return null;
+    const replay = replayTimelapse(timelapseLog, timelapseStep, replayRef.current, Date.now());
+    replayRef.current = { step: timelapseStep, grid: replay };
+    return replay;
+  }, [timelapseLog, timelapseStep]);
+  const displayGrid = replayGrid || grid;
+
+  // Render data derived from the grid, so animation frames don't rebuild it
+  const groundCacheRef = useRef<Map<number, GroundChunk>>(new Map());
+  const groundSignatures = useMemo(() => getGroundSignatures(displayGrid), [displayGrid]);
+  // The live city's buildings stay sorted between edits: each change only
+  // re-inserts the anchors it touched. A replay is sorted from scratch per step.
+  const liveSorted = useMemo(() => {
+    const cache = sortedCacheRef.current;
+    const changes = sortChangesRef.current;
+    sortChangesRef.current = [];
+    let sorted: { buildings: SortedBuilding[]; latestPlacement: number };
+    if (cache && changes) {
+      const buildings = updateSortedBuildings(cache.buildings, grid, changes);
+      const latest = changes.reduce((max, { x, y }) => Math.max(max, grid[y][x].placedAt || 0), cache.latestPlacement);
+      sorted = { buildings, latestPlacement: latest };
+    } else {
+      const buildings = sortBuildings(grid);
+      sorted = { buildings, latestPlacement: buildings.reduce((max, b) => Math.max(max, b.placedAt || 0), 0) };
+    }
+    sortedCacheRef.current = sorted;
+    return sorted;
+  }, [grid]);
+  const replaySorted = useMemo(() => {
+    if (!replayGrid) return null;
+    const buildings = sortBuildings(replayGrid);
+    return { buildings, latestPlacement: buildings.reduce((max, b) => Math.max(max, b.placedAt || 0), 0) };
+  }, [replayGrid]);
+  const { buildings: sortedBuildings, latestPlacement } = replaySorted || liveSorted;
+
+  // New theme sprites invalidate every cached ground chunk
+  useEffect(() => {
+    groundCacheRef.current.clear();
+  }, [sprites]);
+
+  // Economy is derived from the grid; the tick just applies the latest result
+  const economy = useMemo(() => calculateEconomy(grid), [grid]);
+  const economyRef = useRef(economy);
+
+  useEffect(() => {
+    economyRef.current = economy;
+  }, [economy]);
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setMoney(m => m + economyRef.current.net);
+    }, TICK_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Zoned land fills in on the same tick, as far as demand allows, and buildings
+  // finish construction or fall into (and out of) abandonment. Neither is
+  // undoable; growth is logged so the timelapse shows the city filling in.
+  const gridRef = useRef(grid);
+
+  useEffect(() => {
+    gridRef.current = grid;
+  }, [grid]);
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const now = Date.now();
+      const current = gridRef.current;
+      const grown = planGrowth(current, economyRef.current.demand, now);
+      const stepped = stepBuildings(current, economyRef.current, now);
+      if (grown.length === 0 && stepped === current) return;
+      autosavePendingRef.current = true;
+      // Growth was planned on the latest grid, whose lots stepping leaves alone,
+      // so every grown building still fits
+      const next = grown.length > 0 ? stepped.map(row => row.map(t => ({ ...t }))) : stepped;
+      grown.forEach(b => placeBuilding(next, b));
+      // Stepping only ever replaces the anchor tiles of reported buildings
+      noteSortChanges([...economyRef.current.buildings.filter(b => stepped[b.y][b.x] !== current[b.y][b.x]), ...grown]);
+      setGrid(next);
+      if (grown.length > 0) setTimelapseLog(log => [...log, { time: now, placed: grown, removed: [] }]);
+    }, TICK_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  // "No power" / "no water" icons over unserved buildings, flashing while any exist
+  const utilityAlerts = useMemo(() => {
+    const alerts = new Map<string, string[]>();
+    economy.buildings.forEach(b => {
+      if (b.unserved.length > 0) {
+        alerts.set(`${b.x},${b.y}`, b.unserved.map(id => UTILITIES.find(u => u.id === id)!.icon));
+      }
+    });
+    return alerts;
+  }, [economy]);
+  const [alertBlink, setAlertBlink] = useState(true);
+
+  useEffect(() => {
+    if (utilityAlerts.size === 0) return;
+    const interval = setInterval(() => setAlertBlink(on => !on), ALERT_BLINK_MS);
+    return () => {
+      clearInterval(interval);
+      setAlertBlink(true);
+    };
+  }, [utilityAlerts]);
+
+  // Restore the autosave (if any) and key bindings once on mount
+  useEffect(() => {
+    setKeyBindings(readKeyBindings());
+    setSaveSlots(readSaveIndex());
+    const autosave = readSave(AUTOSAVE_ID);
+    if (autosave) applySave(autosave);
+  }, []);
+
+  // Autosave after every placement or bulldoze
+  useEffect(() => {
+    if (!autosavePendingRef.current) return;
+    autosavePendingRef.current = false;
+    const slots = writeSave(AUTOSAVE_ID, createSave('Autosave'), renderThumbnail(grid));
+    if (slots) {
+      setSaveSlots(slots);
+    } else {
+      setFileError('Could not autosave: browser storage is full');
+    }
+  }, [grid]);
+
+  // Record where the buildings changed ahead of the grid update that changes
+  // them, so the depth sort only revisits those anchors; null re-sorts everything
+  const noteSortChanges = (anchors: Array<{ x: number; y: number }> | null) => {
+    sortChangesRef.current = anchors && sortChangesRef.current ? [...sortChangesRef.current, ...anchors] : null;
+  };
+
+  // Every grid edit goes through here so it can be undone
+  const commitChange = useCallback((entry: HistoryEntry) => {
+    autosavePendingRef.current = true;
+    noteSortChanges([...entry.placed, ...entry.removed]);
+    setGrid(g => applyHistoryEntry(g, entry, 1));
+    setTimelapseLog(log => [...log, { time: Date.now(), placed: entry.placed, removed: entry.removed, zoned: entry.zoned }]);
+    setMoney(m => m + entry.moneyDelta);
+    setUndoStack(stack => [...stack, entry].slice(-MAX_HISTORY));
+    setRedoStack([]);
+  }, []);
+
+  const undo = useCallback(() => {
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry) return;
+    autosavePendingRef.current = true;
+    noteSortChanges([...entry.placed, ...entry.removed]);
+    setGrid(g => applyHistoryEntry(g, entry, -1));
+    const unzoned = entry.zoned?.map(c => ({ x: c.x, y: c.y, from: c.to, to: c.from }));
+    setTimelapseLog(log => [...log, { time: Date.now(), placed: entry.removed, removed: entry.placed, zoned: unzoned }]);
+    setMoney(m => m - entry.moneyDelta);
+    setUndoStack(stack => stack.slice(0, -1));
+    setRedoStack(stack => [...stack, entry]);
+  }, [undoStack]);
+
+  const redo = useCallback(() => {
+    const entry = redoStack[redoStack.length - 1];
+    if (!entry) return;
+    autosavePendingRef.current = true;
+    noteSortChanges([...entry.placed, ...entry.removed]);
+    setGrid(g => applyHistoryEntry(g, entry, 1));
+    setTimelapseLog(log => [...log, { time: Date.now(), placed: entry.placed, removed: entry.removed, zoned: entry.zoned }]);
+    setMoney(m => m + entry.moneyDelta);
+    setRedoStack(stack => stack.slice(0, -1));
+    setUndoStack(stack => [...stack, entry]);
+  }, [redoStack]);
+
   // Initialize sound on first interaction
   const initSound = useCallback(async () => {
     if (!soundInitialized) {
@@ -295,43 +3128,49 @@ export default function Game() {
     }
   }, [soundInitialized]);
 
-  // Load sprites when theme changes
+  // Load sprites when theme changes, falling back to the shared art for sprites
+  // the theme doesn't have
   useEffect(() => {
+    let cancelled = false;
     setSpritesLoaded(false);
-    const spriteTypes = ['grass', 'house', 'shop', 'market', 'park', 'university'];
-    const loadedSprites: Record<string, HTMLImageElement> = {};
-    let loadCount = 0;
-
-    spriteTypes.forEach(type => {
-      const img = new Image();
-      img.src = `${selectedTheme.path}/${type}.png`;
-      img.onload = () => {
-        loadedSprites[type] = img;
-        loadCount++;
-        if (loadCount === spriteTypes.length) {
-          setSprites(loadedSprites);
-          setSpritesLoaded(true);
-        }
-      };
-      img.onerror = () => {
-        loadCount++;
-        if (loadCount === spriteTypes.length) {
-          setSprites(loadedSprites);
-          setSpritesLoaded(true);
-        }
-      };
+    Promise.all(SPRITE_TYPES.map(async type => {
+      const image = await loadImage(`${selectedTheme.path}/${type}.png`)
+        || (SHARED_SPRITES[type] ? await loadImage(`${SHARED_SPRITE_PATH}/${SHARED_SPRITES[type]}.png`) : null);
+      return [type, image] as const;
+    })).then(results => {
+      if (cancelled) return;
+      const loadedSprites: Record<string, HTMLImageElement> = {};
+      results.forEach(([type, image]) => {
+        if (image) loadedSprites[type] = image;
+      });
+      setSprites(loadedSprites);
+      setSpritesLoaded(true);
     });
+    return () => {
+      cancelled = true;
+    };
   }, [selectedTheme]);
 
+  // Atlas variants and construction and abandoned art are shared by every theme
+  useEffect(() => {
+    let cancelled = false;
+    loadAtlas().then(loaded => {
+      if (!cancelled) setAtlas(loaded);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   // Add particles effect
-  const addParticles = useCallback((screenX: number, screenY: number, color: string, count: number = 12) => {
+  const addParticles = useCallback((mapX: number, mapY: number, color: string, count: number = 12) => {
     const newParticles: Particle[] = [];
     for (let i = 0; i < count; i++) {
       const angle = (Math.PI * 2 * i) / count + Math.random() * 0.5;
       const speed = 2 + Math.random() * 3;
       newParticles.push({
-        x: screenX,
-        y: screenY,
+        x: mapX,
+        y: mapY,
         vx: Math.cos(angle) * speed,
         vy: Math.sin(angle) * speed - 2,
         life: 1,
@@ -344,25 +3183,17 @@ export default function Game() {
   }, []);
 
   // Calculate offsets
-  const getOffsets = useCallback(() => {
+  const getOffsets = useCallback((): CameraView => {
     const canvas = canvasRef.current;
-    if (!canvas) return { offsetX: 0, offsetY: 0, zoom: 1 };
+    if (!canvas) return { offsetX: 0, offsetY: 0, zoom: 1, pivotX: 0, pivotY: 0 };
     const offsetX = canvas.width / 2 + camera.x;
     const offsetY = 100 + camera.y;
-    return { offsetX, offsetY, zoom };
+    return { offsetX, offsetY, zoom, pivotX: canvas.width / 2, pivotY: canvas.height / 2 };
   }, [camera, zoom]);
 
   // Check if a building can be placed at position
   const canPlace = useCallback((x: number, y: number, size: number): boolean => {
-    for (let dy = 0; dy < size; dy++) {
-      for (let dx = 0; dx < size; dx++) {
-        const tx = x + dx;
-        const ty = y + dy;
-        if (tx >= GRID_SIZE || ty >= GRID_SIZE) return false;
-        if (grid[ty][tx].building !== 'grass' || grid[ty][tx].occupied) return false;
-      }
-    }
-    return true;
+    return isAreaFree(grid, x, y, size);
   }, [grid]);
 
   // Draw the game
@@ -371,139 +3202,226 @@ export default function Game() {
     const ctx = canvas?.getContext('2d');
     if (!canvas || !ctx || !spritesLoaded) return;
 
-    const { offsetX, offsetY, zoom: currentZoom } = getOffsets();
+    const view = getOffsets();
+    const { offsetX, offsetY } = view;
     const now = Date.now();
 
     // Clear canvas with gradient
-    const gradient = ctx.createLinearGradient(0, 0, 0, canvas.height);
-    gradient.addColorStop(0, '#1a1a2e');
-    gradient.addColorStop(1, '#16213e');
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    drawBackground(ctx, canvas.width, canvas.height);
 
     // Apply zoom transform
     ctx.save();
-    ctx.translate(canvas.width / 2, canvas.height / 2);
-    ctx.scale(currentZoom, currentZoom);
-    ctx.translate(-canvas.width / 2, -canvas.height / 2);
+    applyCamera(ctx, view);
 
-    // First pass: Draw all grass tiles
-    for (let y = 0; y < GRID_SIZE; y++) {
-      for (let x = 0; x < GRID_SIZE; x++) {
-        const { screenX, screenY } = gridToScreen(x, y, offsetX, offsetY);
-        const grassSprite = sprites['grass'];
-        if (grassSprite) {
-          const scale = 0.22;
-          const drawWidth = grassSprite.width * scale;
-          const drawHeight = grassSprite.height * scale;
-          const drawX = screenX - drawWidth / 2;
-          const drawY = screenY - drawHeight / 2 + TILE_HEIGHT / 2;
-          ctx.drawImage(grassSprite, drawX, drawY, drawWidth, drawHeight);
+    const visible = getVisibleRange(canvas, view, 2);
+
+    // First pass: Draw the cached ground (grass and roads) for visible chunks
+    const chunkRange = getVisibleRange(canvas, view, GROUND_CHUNK_SIZE + 2);
+    drawGround(ctx, displayGrid, sprites['grass'], groundCacheRef.current, groundSignatures, chunkRange, offsetX, offsetY);
+
+    // Footprint tiles of the drag being made, keyed "x,y"
+    const isBulldozing = selectedTool.type === 'bulldoze';
+    const isZoning = isZoneTool(selectedTool.type);
+    const dragPlan = toolDrag && !isBulldozing && !isZoning ? planDrag(grid, selectedTool, toolDrag.start, toolDrag.end, money) : null;
+    const zoningPlan = toolDrag && isZoning ? planZoning(grid, selectedTool, toolDrag.start, toolDrag.end, money) : null;
+    const zoneTiles = new Set(zoningPlan?.changes.map(c => `${c.x},${c.y}`));
+    const toolZone = isZoning ? ZONES.find(z => z.id === getToolZone(selectedTool.type as ZoneTool)) : undefined;
+    const zoneColor = toolZone ? toolZone.color : '148, 163, 184';
+    const demolitionPlan = toolDrag && isBulldozing ? planDemolition(grid, selectedTool, toolDrag.start, toolDrag.end, money) : null;
+
+    // Tiles of buildings the bulldoze selection touches, keyed "x,y"
+    const demolishTiles = new Set<string>();
+    demolitionPlan?.buildings.forEach(b => {
+      const size = getToolSize(b.type as BuildingType);
+      for (let dy = 0; dy < size; dy++) {
+        for (let dx = 0; dx < size; dx++) {
+          demolishTiles.add(`${b.x + dx},${b.y + dy}`);
         }
       }
-    }
+    });
+    const dragTiles = new Map<string, DragPlacement['status']>();
+    dragPlan?.placements.forEach(p => {
+      for (let dy = 0; dy < selectedTool.size; dy++) {
+        for (let dx = 0; dx < selectedTool.size; dx++) {
+          dragTiles.set(`${p.x + dx},${p.y + dy}`, p.status);
+        }
+      }
+    });
+
+    // Building under the cursor, for the move tool
+    const hoveredBuilding = hoveredTile ? getBuildingAt(grid, hoveredTile.x, hoveredTile.y) : null;
+
+    // Coverage shown under the highlights; it describes the live city, not a replay
+    const overlayService = coverageOverlay && displayGrid === grid ? SERVICES.find(s => s.id === coverageOverlay) : undefined;
+    const overlayCoverage = overlayService ? economy.coverage[overlayService.id].coverage : null;
 
     // Second pass: Draw hover highlights
     for (let y = 0; y < GRID_SIZE; y++) {
-      for (let x = 0; x < GRID_SIZE; x++) {
+      const [minX, maxX] = getVisibleRow(visible, y);
+      for (let x = minX; x <= maxX; x++) {
         const { screenX, screenY } = gridToScreen(x, y, offsetX, offsetY);
 
-        if (hoveredTile && selectedTool.type !== 'bulldoze') {
+        if (overlayService && overlayCoverage) {
+          const value = overlayCoverage[y * GRID_SIZE + x];
+          ctx.fillStyle = value > 0 ? `rgba(${overlayService.color}, ${0.1 + 0.5 * value})` : 'rgba(15, 23, 42, 0.35)';
+          traceTileDiamond(ctx, screenX, screenY, TILE_WIDTH, TILE_HEIGHT);
+          ctx.fill();
+        }
+
+        if (dragPlan) {
+          const status = dragTiles.get(`${x},${y}`);
+          if (status) {
+            const ok = status === 'place' || status === 'skip';
+            ctx.fillStyle = ok ? 'rgba(100, 255, 100, 0.3)' : status === 'unaffordable' ? 'rgba(255, 200, 100, 0.3)' : 'rgba(255, 100, 100, 0.3)';
+            traceTileDiamond(ctx, screenX, screenY, TILE_WIDTH, TILE_HEIGHT);
+            ctx.fill();
+          }
+        } else if (demolitionPlan && toolDrag) {
+          const inSelection = x >= Math.min(toolDrag.start.x, toolDrag.end.x) && x <= Math.max(toolDrag.start.x, toolDrag.end.x) &&
+                              y >= Math.min(toolDrag.start.y, toolDrag.end.y) && y <= Math.max(toolDrag.start.y, toolDrag.end.y);
+          const demolished = demolishTiles.has(`${x},${y}`);
+          if (inSelection || demolished) {
+            ctx.fillStyle = demolished ? 'rgba(255, 60, 60, 0.45)' : 'rgba(255, 100, 100, 0.2)';
+            traceTileDiamond(ctx, screenX, screenY, TILE_WIDTH, TILE_HEIGHT);
+            ctx.fill();
+          }
+        } else if (zoningPlan && toolDrag) {
+          const inSelection = x >= Math.min(toolDrag.start.x, toolDrag.end.x) && x <= Math.max(toolDrag.start.x, toolDrag.end.x) &&
+                              y >= Math.min(toolDrag.start.y, toolDrag.end.y) && y <= Math.max(toolDrag.start.y, toolDrag.end.y);
+          if (inSelection) {
+            ctx.fillStyle = zoneTiles.has(`${x},${y}`) ? `rgba(${zoneColor}, 0.5)` : 'rgba(255, 255, 255, 0.1)';
+            traceTileDiamond(ctx, screenX, screenY, TILE_WIDTH, TILE_HEIGHT);
+            ctx.fill();
+          }
+        } else if (moving && hoveredTile) {
+          const size = getToolSize(moving.type as BuildingType);
+          const isInFootprint = x >= hoveredTile.x && x < hoveredTile.x + size &&
+                               y >= hoveredTile.y && y < hoveredTile.y + size;
+          if (isInFootprint) {
+            const canMoveHere = isAreaFree(grid, hoveredTile.x, hoveredTile.y, size, moving);
+            ctx.fillStyle = canMoveHere ? 'rgba(100, 200, 255, 0.3)' : 'rgba(255, 100, 100, 0.3)';
+            traceTileDiamond(ctx, screenX, screenY, TILE_WIDTH, TILE_HEIGHT);
+            ctx.fill();
+            ctx.strokeStyle = canMoveHere ? 'rgba(100, 200, 255, 0.6)' : 'rgba(255, 100, 100, 0.6)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+          }
+        } else if (hoveredTile && selectedTool.type === 'move') {
+          const owner = getBuildingAt(grid, x, y);
+          if (hoveredBuilding && owner && owner.x === hoveredBuilding.x && owner.y === hoveredBuilding.y) {
+            ctx.fillStyle = 'rgba(100, 200, 255, 0.3)';
+            traceTileDiamond(ctx, screenX, screenY, TILE_WIDTH, TILE_HEIGHT);
+            ctx.fill();
+          }
+        } else if (hoveredTile && isZoning) {
+          if (hoveredTile.x === x && hoveredTile.y === y) {
+            ctx.fillStyle = `rgba(${zoneColor}, 0.5)`;
+            traceTileDiamond(ctx, screenX, screenY, TILE_WIDTH, TILE_HEIGHT);
+            ctx.fill();
+          }
+        } else if (hoveredTile && selectedTool.type !== 'bulldoze') {
           const size = selectedTool.size;
           const isInFootprint = x >= hoveredTile.x && x < hoveredTile.x + size &&
                                y >= hoveredTile.y && y < hoveredTile.y + size;
           if (isInFootprint) {
             const canPlaceHere = canPlace(hoveredTile.x, hoveredTile.y, size);
             ctx.fillStyle = canPlaceHere ? 'rgba(100, 255, 100, 0.3)' : 'rgba(255, 100, 100, 0.3)';
-            ctx.beginPath();
-            ctx.moveTo(screenX, screenY);
-            ctx.lineTo(screenX + TILE_WIDTH / 2, screenY + TILE_HEIGHT / 2);
-            ctx.lineTo(screenX, screenY + TILE_HEIGHT);
-            ctx.lineTo(screenX - TILE_WIDTH / 2, screenY + TILE_HEIGHT / 2);
-            ctx.closePath();
+            traceTileDiamond(ctx, screenX, screenY, TILE_WIDTH, TILE_HEIGHT);
             ctx.fill();
             ctx.strokeStyle = canPlaceHere ? 'rgba(100, 255, 100, 0.6)' : 'rgba(255, 100, 100, 0.6)';
             ctx.lineWidth = 2;
             ctx.stroke();
           }
         } else if (hoveredTile && hoveredTile.x === x && hoveredTile.y === y) {
-          ctx.fillStyle = 'rgba(255, 100, 100, 0.3)';
-          ctx.beginPath();
-          ctx.moveTo(screenX, screenY);
-          ctx.lineTo(screenX + TILE_WIDTH / 2, screenY + TILE_HEIGHT / 2);
-          ctx.lineTo(screenX, screenY + TILE_HEIGHT);
-          ctx.lineTo(screenX - TILE_WIDTH / 2, screenY + TILE_HEIGHT / 2);
-          ctx.closePath();
-          ctx.fill();
-        }
-      }
-    }
-
-    // Collect all buildings for depth sorting
-    const buildings: Array<{
-      x: number;
-      y: number;
-      size: number;
-      type: BuildingType;
-      placedAt?: number;
-      depth: number;
-    }> = [];
-
-    for (let y = 0; y < GRID_SIZE; y++) {
-      for (let x = 0; x < GRID_SIZE; x++) {
-        const tile = grid[y][x];
-        if (tile.building !== 'grass' && tile.building !== 'empty' && !tile.occupied) {
-          const tool = TOOLS.find(t => t.type === tile.building);
-          const size = tool?.size || 1;
-          // Depth is based on the front-most corner of the building (x + size + y + size)
-          const depth = (x + size) + (y + size);
-          buildings.push({ x, y, size, type: tile.building, placedAt: tile.placedAt, depth });
+          ctx.fillStyle = 'rgba(255, 100, 100, 0.3)';
+          traceTileDiamond(ctx, screenX, screenY, TILE_WIDTH, TILE_HEIGHT);
+          ctx.fill();
         }
       }
     }
 
-    // Sort by depth (back to front)
-    buildings.sort((a, b) => a.depth - b.depth);
-
-    // Third pass: Draw buildings in depth order
-    for (const building of buildings) {
-      const buildingSprite = sprites[building.type];
-      if (!buildingSprite) continue;
+    // Orientation of the building about to be placed or dropped: the front edge
+    // it faces is outlined (left-front normally, right-front when mirrored)
+    const showOrientation = !!moving || (isBuildingType(selectedTool.type) && selectedTool.type !== 'road');
+    if (hoveredTile && showOrientation && !toolDrag) {
+      const size = getToolSize((moving ? moving.type : selectedTool.type) as BuildingType);
+      const flipped = moving ? !!moving.flipped : previewFlipped;
+      const bottom = gridToScreen(hoveredTile.x + size, hoveredTile.y + size, offsetX, offsetY);
+      const side = flipped
+        ? gridToScreen(hoveredTile.x + size, hoveredTile.y, offsetX, offsetY)
+        : gridToScreen(hoveredTile.x, hoveredTile.y + size, offsetX, offsetY);
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(side.screenX, side.screenY);
+      ctx.lineTo(bottom.screenX, bottom.screenY);
+      ctx.stroke();
+    }
 
-      // Calculate animation
-      let animOffset = 0;
-      let animScale = 1;
-      let animAlpha = 1;
-      if (building.placedAt) {
-        const elapsed = now - building.placedAt;
-        if (elapsed < 300) {
-          const progress = elapsed / 300;
-          const bounce = Math.sin(progress * Math.PI) * (1 - progress);
-          animOffset = -50 * (1 - progress) - bounce * 20;
-          animScale = 0.8 + 0.2 * progress + bounce * 0.1;
-          animAlpha = 0.7 + 0.3 * progress;
-        }
+    // Ghost of the building under the cursor - either the one being moved or the
+    // selected tool - depth sorted like placed buildings and red when it can't go there
+    let ghost: (SortedBuilding & { valid: boolean }) | null = null;
+    if (hoveredTile && moving) {
+      const size = getToolSize(moving.type as BuildingType);
+      ghost = {
+        x: hoveredTile.x,
+        y: hoveredTile.y,
+        size,
+        type: moving.type as BuildingType,
+        flipped: moving.flipped,
+        variant: moving.variant,
+        level: moving.level,
+        depth: hoveredTile.x + hoveredTile.y + 2 * size,
+        valid: isAreaFree(grid, hoveredTile.x, hoveredTile.y, size, moving),
+      };
+    } else if (hoveredTile && !toolDrag && isBuildingType(selectedTool.type) && selectedTool.type !== 'road') {
+      const size = selectedTool.size;
+      ghost = {
+        x: hoveredTile.x,
+        y: hoveredTile.y,
+        size,
+        type: selectedTool.sprite,
+        flipped: previewFlipped,
+        variant: selectedTool.variant,
+        depth: hoveredTile.x + hoveredTile.y + 2 * size,
+        valid: canPlace(hoveredTile.x, hoveredTile.y, size) && money >= selectedTool.cost,
+      };
+    }
+    const drawGhost = () => {
+      const buildingImage = ghost && getBuildingImage(ghost, sprites, atlas);
+      if (ghost && buildingImage) {
+        const image = ghost.valid ? buildingImage.image : getTintedSprite(buildingImage.image);
+        drawBuildingSprite(ctx, image, ghost, offsetX, offsetY, { offset: 0, scale: 1, alpha: 0.6 }, buildingImage.anchor);
       }
+    };
 
-      // Scale building to fit its footprint - larger footprint = slightly larger sprite
-      // Use sqrt to prevent huge visual differences between sizes
-      const baseScale = 0.25;
-      const sizeMultiplier = 1 + (building.size - 1) * 0.3; // 1x1=1.0, 2x2=1.3, 3x3=1.6, 4x4=1.9
-      const scale = baseScale * sizeMultiplier * animScale;
-      const drawWidth = buildingSprite.width * scale;
-      const drawHeight = buildingSprite.height * scale;
-
-      // Anchor at the center of the footprint
-      const centerX = building.x + (building.size - 1) / 2;
-      const centerY = building.y + (building.size - 1) / 2;
-      const { screenX: anchorX, screenY: anchorY } = gridToScreen(centerX + 0.5, centerY + 0.5, offsetX, offsetY);
-
-      const drawX = anchorX - drawWidth / 2;
-      const drawY = anchorY - drawHeight + TILE_HEIGHT * building.size / 2 + animOffset;
+    // Third pass: Draw buildings in depth order, skipping those off screen
+    drawBuildings(ctx, sortedBuildings, sprites, getVisibleRange(canvas, view, BUILDING_CULL_MARGIN), offsetX, offsetY, {
+      now,
+      hidden: moving,
+      insert: ghost && { depth: ghost.depth, draw: drawGhost },
+      alerts: alertBlink && displayGrid === grid ? utilityAlerts : null,
+      atlas,
+    });
 
-      ctx.globalAlpha = animAlpha;
-      ctx.drawImage(buildingSprite, drawX, drawY, drawWidth, drawHeight);
-      ctx.globalAlpha = 1;
+    // Total cost of the drag, drawn above the buildings so it stays readable
+    if (toolDrag && (dragPlan || demolitionPlan || zoningPlan)) {
+      const { screenX, screenY } = gridToScreen(toolDrag.end.x + 0.5, toolDrag.end.y + 0.5, offsetX, offsetY);
+      if (dragPlan) {
+        const count = dragPlan.placements.filter(p => p.status === 'place').length;
+        const short = dragPlan.placements.some(p => p.status === 'unaffordable');
+        drawLabel(ctx, `${count} × ${selectedTool.name} · $${dragPlan.cost.toLocaleString()}`, screenX, screenY - 25, short ? '#fbbf24' : '#4ade80');
+      } else if (demolitionPlan) {
+        const count = demolitionPlan.buildings.length;
+        const label = `Demolish ${count} building${count === 1 ? '' : 's'} · $${demolitionPlan.cost.toLocaleString()}`;
+        drawLabel(ctx, label, screenX, screenY - 25, demolitionPlan.unaffordable > 0 ? '#fbbf24' : '#f87171');
+      } else if (zoningPlan) {
+        const count = zoningPlan.changes.length;
+        const tiles = `${count} tile${count === 1 ? '' : 's'}`;
+        const cost = zoningPlan.cost > 0 ? ` · $${zoningPlan.cost.toLocaleString()}` : '';
+        const label = toolZone ? `Zone ${tiles} ${toolZone.name.toLowerCase()}${cost}` : `Dezone ${tiles}`;
+        drawLabel(ctx, label, screenX, screenY - 25, zoningPlan.unaffordable > 0 ? '#fbbf24' : `rgb(${zoneColor})`);
+      }
     }
 
     // Draw particles
@@ -518,7 +3436,7 @@ export default function Game() {
       ctx.globalAlpha = p.life;
       ctx.fillStyle = p.color;
       ctx.beginPath();
-      ctx.arc(p.x, p.y, p.size * p.life, 0, Math.PI * 2);
+      ctx.arc(p.x + offsetX, p.y + offsetY, p.size * p.life, 0, Math.PI * 2);
       ctx.fill();
       ctx.globalAlpha = 1;
 
@@ -529,10 +3447,66 @@ export default function Game() {
     ctx.restore();
 
     // Continue animation if there are particles or recent placements
-    if (particlesRef.current.length > 0 || grid.some(row => row.some(t => t.placedAt && now - t.placedAt < 300))) {
+    if (particlesRef.current.length > 0 || now - latestPlacement < 300) {
       animationFrameRef.current = requestAnimationFrame(draw);
     }
-  }, [grid, sprites, spritesLoaded, hoveredTile, selectedTool, getOffsets, canPlace]);
+  }, [grid, displayGrid, money, economy, coverageOverlay, utilityAlerts, alertBlink, sprites, atlas, spritesLoaded, hoveredTile, selectedTool, toolDrag, moving, previewFlipped, groundSignatures, sortedBuildings, latestPlacement, getOffsets, canPlace]);
+
+  // Minimap: cached tiles plus the current viewport rectangle
+  const minimapRef = useRef<HTMLCanvasElement>(null);
+  const minimapBaseRef = useRef<{ grid: Tile[][]; canvas: HTMLCanvasElement } | null>(null);
+  const [minimapDragging, setMinimapDragging] = useState(false);
+
+  const drawMinimap = useCallback(() => {
+    const minimap = minimapRef.current;
+    const canvas = canvasRef.current;
+    const ctx = minimap?.getContext('2d');
+    if (!minimap || !canvas || !ctx) return;
+
+    if (minimapBaseRef.current?.grid !== displayGrid) {
+      minimapBaseRef.current = { grid: displayGrid, canvas: renderMinimapBase(displayGrid) };
+    }
+    ctx.clearRect(0, 0, minimap.width, minimap.height);
+    ctx.drawImage(minimapBaseRef.current.canvas, 0, 0);
+
+    // Visible area in map pixels, relative to the map origin
+    const view = getOffsets();
+    const topLeft = canvasToWorld(view, 0, 0);
+    const viewWidth = canvas.width / view.zoom;
+    const viewHeight = canvas.height / view.zoom;
+    const left = topLeft.x - view.offsetX;
+    const top = topLeft.y - view.offsetY;
+
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(
+      left * MINIMAP_SCALE + GRID_SIZE * 2,
+      top * MINIMAP_SCALE,
+      viewWidth * MINIMAP_SCALE,
+      viewHeight * MINIMAP_SCALE,
+    );
+  }, [displayGrid, getOffsets]);
+
+  useEffect(() => {
+    drawMinimap();
+  }, [drawMinimap]);
+
+  // Move the camera so the clicked minimap point is in the centre of the canvas
+  const jumpToMinimapPoint = (e: React.MouseEvent<HTMLCanvasElement>) => {
+    const minimap = minimapRef.current;
+    const canvas = canvasRef.current;
+    if (!minimap || !canvas) return;
+
+    const rect = minimap.getBoundingClientRect();
+    const mapX = ((e.clientX - rect.left) * minimap.width / rect.width - GRID_SIZE * 2) / MINIMAP_SCALE;
+    const mapY = ((e.clientY - rect.top) * minimap.height / rect.height) / MINIMAP_SCALE;
+    const { offsetX, offsetY } = getOffsets();
+    stopCameraAnimation();
+    setCamera({
+      x: camera.x + canvas.width / 2 - (mapX + offsetX),
+      y: camera.y + canvas.height / 2 - (mapY + offsetY),
+    });
+  };
 
   // Resize canvas
   useEffect(() => {
@@ -545,13 +3519,14 @@ export default function Game() {
         canvas.width = container.clientWidth;
         canvas.height = container.clientHeight;
         draw();
+        drawMinimap();
       }
     };
 
     resize();
     window.addEventListener('resize', resize);
     return () => window.removeEventListener('resize', resize);
-  }, [draw]);
+  }, [draw, drawMinimap]);
 
   // Redraw when state changes
   useEffect(() => {
@@ -560,140 +3535,742 @@ export default function Game() {
   }, [draw]);
 
   // Mouse handlers
+  const getCanvasPoint = (e: React.MouseEvent): { x: number; y: number } | null => {
+    const canvas = canvasRef.current;
+    if (!canvas) return null;
+    const rect = canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const getGridPositionAt = useCallback((point: { x: number; y: number }): { x: number; y: number } | null => {
+    const { gridX, gridY } = screenToGrid(point.x, point.y, getOffsets());
+    if (gridX < 0 || gridX >= GRID_SIZE || gridY < 0 || gridY >= GRID_SIZE) return null;
+    return { x: gridX, y: gridY };
+  }, [getOffsets]);
+
+  const getGridPosition = (e: React.MouseEvent): { x: number; y: number } | null => {
+    const point = getCanvasPoint(e);
+    return point && getGridPositionAt(point);
+  };
+
+  // Keep the hovered tile under the cursor while the camera glides or zooms
+  useEffect(() => {
+    if (!pointerRef.current || isDragging) return;
+    const pos = getGridPositionAt(pointerRef.current);
+    setHoveredTile(prev => (prev && pos && prev.x === pos.x && prev.y === pos.y) || prev === pos ? prev : pos);
+  }, [getGridPositionAt, isDragging]);
+
+  // Panning is shared by the right/middle mouse button and one-finger touch drags
+  const startPan = (clientX: number, clientY: number) => {
+    stopCameraAnimation();
+    setIsDragging(true);
+    setDragStart({ x: clientX, y: clientY });
+    setCameraStart({ x: camera.x, y: camera.y });
+    panTrackRef.current = { x: camera.x, y: camera.y, time: performance.now() };
+  };
+
+  const panCamera = (clientX: number, clientY: number) => {
+    // The map follows the pointer, so screen movement is divided by the zoom
+    const next = {
+      x: cameraStart.x + (clientX - dragStart.x) / zoom,
+      y: cameraStart.y + (clientY - dragStart.y) / zoom,
+    };
+    const now = performance.now();
+    const track = panTrackRef.current;
+    const elapsed = now - track.time;
+    if (elapsed > 0) {
+      const velocity = panVelocityRef.current;
+      panVelocityRef.current = {
+        x: 0.8 * (next.x - track.x) / elapsed + 0.2 * velocity.x,
+        y: 0.8 * (next.y - track.y) / elapsed + 0.2 * velocity.y,
+      };
+    }
+    panTrackRef.current = { ...next, time: now };
+    setCamera(next);
+  };
+
+  const releasePan = () => {
+    if (!isDragging) return;
+    // Only a pan that was still moving when released keeps gliding
+    if (performance.now() - panTrackRef.current.time < 80) startCameraAnimation();
+    else panVelocityRef.current = { x: 0, y: 0 };
+    setIsDragging(false);
+  };
+
+  const pickUpBuilding = (pos: { x: number; y: number }) => {
+    const building = getBuildingAt(grid, pos.x, pos.y);
+    if (building) {
+      soundManager.playSelect();
+      setMoving(building);
+    }
+  };
+
   const handleMouseDown = (e: React.MouseEvent) => {
     initSound();
     if (e.button === 1 || e.button === 2) {
-      setIsDragging(true);
-      setDragStart({ x: e.clientX, y: e.clientY });
-      setCameraStart({ x: camera.x, y: camera.y });
+      startPan(e.clientX, e.clientY);
       e.preventDefault();
+    } else if (timelapse) {
+      // The timelapse replay can be panned and zoomed but not edited
+    } else if (e.button === 0 && moving) {
+      const pos = getGridPosition(e);
+      if (pos) dropMovingBuilding(pos);
+    } else if (e.button === 0 && selectedTool.type === 'move') {
+      const pos = getGridPosition(e);
+      if (pos) pickUpBuilding(pos);
+    } else if (e.button === 0) {
+      const pos = getGridPosition(e);
+      if (pos) setToolDrag({ start: pos, end: pos });
     }
   };
 
   const handleMouseMove = (e: React.MouseEvent) => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-
+    pointerRef.current = getCanvasPoint(e);
     if (isDragging) {
-      const dx = e.clientX - dragStart.x;
-      const dy = e.clientY - dragStart.y;
-      setCamera({ x: cameraStart.x + dx, y: cameraStart.y + dy });
+      panCamera(e.clientX, e.clientY);
     } else {
-      const rect = canvas.getBoundingClientRect();
-      const mouseX = e.clientX - rect.left;
-      const mouseY = e.clientY - rect.top;
-      const { offsetX, offsetY } = getOffsets();
-      const { gridX, gridY } = screenToGrid(mouseX, mouseY, offsetX, offsetY);
-
-      if (gridX >= 0 && gridX < GRID_SIZE && gridY >= 0 && gridY < GRID_SIZE) {
-        setHoveredTile({ x: gridX, y: gridY });
-      } else {
-        setHoveredTile(null);
+      const pos = timelapse ? null : getGridPosition(e);
+      setHoveredTile(pos);
+      if (pos && toolDrag && (pos.x !== toolDrag.end.x || pos.y !== toolDrag.end.y)) {
+        setToolDrag({ start: toolDrag.start, end: pos });
+      }
+    }
+  };
+
+  // Demolish every building the selection touches as a single undoable transaction
+  const commitDemolition = (start: { x: number; y: number }, end: { x: number; y: number }) => {
+    const plan = planDemolition(grid, selectedTool, start, end, money);
+    if (plan.buildings.length === 0) {
+      if (plan.unaffordable > 0) soundManager.playError();
+      return;
+    }
+
+    soundManager.playBulldoze();
+    plan.buildings.forEach(({ x, y }) => {
+      const { screenX, screenY } = gridToScreen(x, y, 0, 0);
+      addParticles(screenX, screenY, '#ff6b6b', plan.buildings.length > 1 ? 6 : 15);
+    });
+    commitChange({ placed: [], removed: plan.buildings, moneyDelta: -plan.cost });
+  };
+
+  // Paint or clear zones over the selection as a single undoable transaction
+  const commitZoning = (start: { x: number; y: number }, end: { x: number; y: number }) => {
+    const plan = planZoning(grid, selectedTool, start, end, money);
+    if (plan.changes.length === 0) {
+      if (plan.unaffordable > 0) soundManager.playError();
+      return;
+    }
+    soundManager.playSelect();
+    commitChange({ placed: [], removed: [], zoned: plan.changes, moneyDelta: -plan.cost });
+  };
+
+  // Build everything the drag covers as a single undoable transaction
+  const commitToolDrag = (drag = toolDrag) => {
+    if (!drag) return;
+    setToolDrag(null);
+
+    if (selectedTool.type === 'bulldoze') {
+      commitDemolition(drag.start, drag.end);
+      return;
+    }
+    if (isZoneTool(selectedTool.type)) {
+      commitZoning(drag.start, drag.end);
+      return;
+    }
+
+    // A plain click on an existing building opens the inspector
+    const { start, end } = drag;
+    const clicked = start.x === end.x && start.y === end.y ? getBuildingAt(grid, start.x, start.y) : null;
+    if (clicked) {
+      soundManager.playSelect();
+      setInspected({ x: clicked.x, y: clicked.y });
+      setShowReplace(false);
+      return;
+    }
+
+    const plan = planDrag(grid, selectedTool, drag.start, drag.end, money);
+    const now = Date.now();
+    const placed: SavedBuilding[] = plan.placements
+      .filter(p => p.status === 'place')
+      .map(p => ({
+        type: selectedTool.type,
+        x: p.x,
+        y: p.y,
+        placedAt: now,
+        cost: selectedTool.cost,
+        flipped: selectedTool.type !== 'road' && previewFlipped ? true : undefined,
+        state: getInitialState(selectedTool.type),
+        variant: selectedTool.variant,
+      }));
+
+    if (placed.length === 0) {
+      soundManager.playError();
+      if (plan.placements.some(p => p.status === 'unaffordable')) {
+        const { screenX, screenY } = gridToScreen(drag.end.x, drag.end.y, 0, 0);
+        addParticles(screenX, screenY, '#ef4444', 8);
       }
+      return;
+    }
+
+    soundManager.playPlace(selectedTool.type);
+
+    // Add particles at center of each building
+    if (selectedTool.type !== 'road') {
+      const size = selectedTool.size;
+      placed.forEach(({ x, y }) => {
+        const { screenX, screenY } = gridToScreen(x + size / 2 - 0.5, y + size / 2 - 0.5, 0, 0);
+        addParticles(screenX, screenY - 30, '#4ade80', placed.length > 1 ? 6 : 18);
+      });
+    }
+
+    commitChange({ placed, removed: [], moneyDelta: -plan.cost });
+  };
+
+  const handleMouseUp = () => {
+    releasePan();
+    commitToolDrag();
+  };
+
+  // Inspector actions
+  const inspectedBuilding = inspected ? getBuildingAt(grid, inspected.x, inspected.y) : null;
+  const inspectedReport = inspectedBuilding
+    ? economy.buildings.find(b => b.x === inspectedBuilding.x && b.y === inspectedBuilding.y)
+    : undefined;
+  const inspectedLevels = inspectedBuilding ? DENSITY_LEVELS[inspectedBuilding.type as BuildingType] : undefined;
+  const inspectedLevel = inspectedBuilding?.level || 1;
+
+  const demolishInspected = () => {
+    if (!inspectedBuilding) return;
+    if (money < BULLDOZE_TOOL.cost) {
+      soundManager.playError();
+      return;
+    }
+    soundManager.playBulldoze();
+    const { screenX, screenY } = gridToScreen(inspectedBuilding.x, inspectedBuilding.y, 0, 0);
+    addParticles(screenX, screenY, '#ff6b6b', 15);
+    commitChange({ placed: [], removed: [inspectedBuilding], moneyDelta: -BULLDOZE_TOOL.cost });
+    setInspected(null);
+  };
+
+  // Moving is free: the building keeps its build date and what was paid for it
+  const dropMovingBuilding = (pos: { x: number; y: number }) => {
+    if (!moving) return;
+    const size = getToolSize(moving.type as BuildingType);
+    if (!isAreaFree(grid, pos.x, pos.y, size, moving)) {
+      soundManager.playError();
+      return;
+    }
+    setMoving(null);
+    // The building may have finished, decayed or grown since the drag started,
+    // so move it as it is now and only take the position and mirroring from the drag
+    const original = getBuildingAt(grid, moving.x, moving.y);
+    if (!original || original.type !== moving.type || original.x !== moving.x || original.y !== moving.y) return;
+    if (pos.x === original.x && pos.y === original.y && !!moving.flipped === !!original.flipped) return;
+
+    soundManager.playPlace(moving.type);
+    commitChange({ placed: [{ ...original, x: pos.x, y: pos.y, flipped: moving.flipped }], removed: [original], moneyDelta: 0 });
+    if (inspected) setInspected(pos);
+  };
+
+  // Mirror a building where it stands, free of charge
+  const rotateInspected = () => {
+    if (!inspectedBuilding) return;
+    soundManager.playSelect();
+    commitChange({
+      placed: [{ ...inspectedBuilding, flipped: !inspectedBuilding.flipped }],
+      removed: [inspectedBuilding],
+      moneyDelta: 0,
+    });
+  };
+
+  // Replacing bulldozes the old building and builds the new one on the same anchor
+  const replaceInspected = (tool: Tool) => {
+    if (!inspectedBuilding) return;
+    const cost = tool.cost + BULLDOZE_TOOL.cost;
+    if (money < cost || !isAreaFree(grid, inspectedBuilding.x, inspectedBuilding.y, tool.size, inspectedBuilding)) {
+      soundManager.playError();
+      return;
     }
+    soundManager.playPlace(tool.type);
+    commitChange({
+      placed: [{
+        type: tool.type,
+        x: inspectedBuilding.x,
+        y: inspectedBuilding.y,
+        placedAt: Date.now(),
+        cost: tool.cost,
+        state: getInitialState(tool.type),
+      }],
+      removed: [inspectedBuilding],
+      moneyDelta: -cost,
+    });
+    setShowReplace(false);
+  };
+
+  const handleMouseLeave = () => {
+    pointerRef.current = null;
+    panVelocityRef.current = { x: 0, y: 0 };
+    setIsDragging(false);
+    setToolDrag(null);
   };
 
-  const handleMouseUp = () => setIsDragging(false);
+  // Zoom around a canvas point; successive steps stack onto the eased target
+  const zoomBy = (step: number, anchor: { x: number; y: number }) => {
+    const from = zoomTargetRef.current?.zoom ?? zoom;
+    zoomTargetRef.current = { zoom: clampZoom(from * step), anchorX: anchor.x, anchorY: anchor.y };
+    startCameraAnimation();
+  };
 
   const handleWheel = (e: React.WheelEvent) => {
     e.preventDefault();
-    const delta = e.deltaY > 0 ? 0.9 : 1.1;
-    setZoom(z => Math.min(3, Math.max(0.3, z * delta)));
+    const anchor = getCanvasPoint(e);
+    if (anchor) zoomBy(e.deltaY > 0 ? 1 / ZOOM_STEP : ZOOM_STEP, anchor);
+  };
+
+  const handleContextMenu = (e: React.MouseEvent) => e.preventDefault();
+
+  const selectTool = async (tool: Tool) => {
+    await initSound();
+    setSelectedTool(tool);
+    setMoving(null);
   };
 
-  const handleClick = async (e: React.MouseEvent) => {
+  const toggleMusic = async () => {
     await initSound();
-    if (isDragging) return;
+    setMusicPlaying(soundManager.toggleMusic());
+  };
+
+  // Pan keys set the glide velocity on their axis, so held keys keep it moving
+  const panWithKey = (dx: number, dy: number) => {
+    const velocity = panVelocityRef.current;
+    const speed = KEY_PAN_SPEED / zoom;
+    panVelocityRef.current = { x: dx ? dx * speed : velocity.x, y: dy ? dy * speed : velocity.y };
+    startCameraAnimation();
+  };
+
+  const runShortcut = (actionId: string) => {
+    // The timelapse shows the city's past; edits to the live city wait until it closes
+    if (timelapse && (actionId.startsWith('tool:') || ['rotate', 'undo', 'redo'].includes(actionId))) return;
+
+    const tool = TOOLS.find(t => `tool:${t.type}` === actionId);
+    if (tool) {
+      if (money < tool.cost && tool.type !== 'bulldoze') soundManager.playError();
+      else selectTool(tool);
+      return;
+    }
 
     const canvas = canvasRef.current;
-    if (!canvas) return;
+    switch (actionId) {
+      case 'panUp': panWithKey(0, 1); break;
+      case 'panLeft': panWithKey(1, 0); break;
+      case 'panDown': panWithKey(0, -1); break;
+      case 'panRight': panWithKey(-1, 0); break;
+      case 'zoomIn':
+      case 'zoomOut':
+        if (canvas) zoomBy(actionId === 'zoomIn' ? ZOOM_STEP : 1 / ZOOM_STEP, { x: canvas.width / 2, y: canvas.height / 2 });
+        break;
+      case 'rotate':
+        soundManager.playSelect();
+        if (moving) setMoving({ ...moving, flipped: !moving.flipped });
+        else setPreviewFlipped(f => !f);
+        break;
+      case 'music': toggleMusic(); break;
+      case 'deselect':
+        setMoving(null);
+        setInspected(null);
+        setToolDrag(null);
+        setShowHelp(false);
+        setShowSaveDialog(false);
+        setShowKeyBindings(false);
+        break;
+      case 'undo': undo(); break;
+      case 'redo': redo(); break;
+      case 'save': quickSave(); break;
+      case 'help': setShowHelp(h => !h); break;
+    }
+  };
+
+  const handleShortcutKey = (e: KeyboardEvent) => {
+    const combo = getKeyCombo(e);
+    if (!combo) return;
+
+    // The bindings panel is waiting for a key: Esc cancels, anything else is bound
+    if (rebinding) {
+      e.preventDefault();
+      if (combo !== 'Escape') {
+        const next = rebindKey(keyBindings, rebinding.actionId, rebinding.slot, combo);
+        setKeyBindings(next);
+        writeKeyBindings(next);
+      }
+      setRebinding(null);
+      return;
+    }
+
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+    const actionId = getActionForCombo(keyBindings, combo);
+    if (!actionId) return;
+    e.preventDefault();
+    runShortcut(actionId);
+  };
+
+  // One window listener that always calls the latest handler
+  const shortcutHandlerRef = useRef(handleShortcutKey);
+  useEffect(() => {
+    shortcutHandlerRef.current = handleShortcutKey;
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => shortcutHandlerRef.current(e);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const changeActionKeys = (actionId: string, keys: string[]) => {
+    const next = setActionKeys(keyBindings, actionId, keys);
+    setKeyBindings(next);
+    writeKeyBindings(next);
+    setRebinding(null);
+  };
+
+  const resetKeyBindings = () => {
+    const defaults = getDefaultKeyBindings();
+    setKeyBindings(defaults);
+    writeKeyBindings(defaults);
+    setRebinding(null);
+  };
+
+  const closeKeyBindings = () => {
+    setShowKeyBindings(false);
+    setRebinding(null);
+  };
+
+  const getKeyHint = (actionId: string): string =>
+    (keyBindings[actionId] || []).map(formatKeyCombo).join(' / ');
+
+  // Touch: a tap builds, a one-finger drag pans (or paints with the road and
+  // bulldoze tools), two fingers pinch-zoom and a long press opens the
+  // inspector. Mouse pointers are left to the mouse handlers above.
+  const touchesRef = useRef(new Map<number, { x: number; y: number }>());
+  const touchGestureRef = useRef<TouchGesture | null>(null);
+  const paintsOnDrag = !timelapse && (selectedTool.type === 'road' || selectedTool.type === 'bulldoze' || isZoneTool(selectedTool.type));
+
+  const tapTile = (pos: { x: number; y: number }) => {
+    if (timelapse) return;
+    if (moving) dropMovingBuilding(pos);
+    else if (selectedTool.type === 'move') pickUpBuilding(pos);
+    else commitToolDrag({ start: pos, end: pos });
+  };
+
+  // Runs from the pointer-down's timer, so the grid is read from its ref: the
+  // tick may have changed it during the press
+  const inspectAfterLongPress = (pos: { x: number; y: number } | null) => {
+    const gesture = touchGestureRef.current;
+    if (!gesture || gesture.mode !== 'press' || timelapse) return;
+    gesture.mode = 'done';
+    const building = pos && getBuildingAt(gridRef.current, pos.x, pos.y);
+    if (building) {
+      soundManager.playSelect();
+      setInspected({ x: building.x, y: building.y });
+      setShowReplace(false);
+    }
+  };
 
+  const getPinch = (canvas: HTMLCanvasElement) => {
+    const [a, b] = Array.from(touchesRef.current.values());
     const rect = canvas.getBoundingClientRect();
-    const mouseX = e.clientX - rect.left;
-    const mouseY = e.clientY - rect.top;
-    const { offsetX, offsetY } = getOffsets();
-    const { gridX, gridY } = screenToGrid(mouseX, mouseY, offsetX, offsetY);
+    return {
+      distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
+      centerX: (a.x + b.x) / 2 - rect.left,
+      centerY: (a.y + b.y) / 2 - rect.top,
+    };
+  };
 
-    if (gridX < 0 || gridX >= GRID_SIZE || gridY < 0 || gridY >= GRID_SIZE) return;
+  const handlePointerDown = (e: React.PointerEvent<HTMLCanvasElement>) => {
+    if (e.pointerType === 'mouse') return;
+    e.preventDefault(); // no emulated mouse events for this touch
+    initSound();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const touches = touchesRef.current;
+    touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const previous = touchGestureRef.current;
+    if (previous) window.clearTimeout(previous.longPress);
 
-    const { screenX, screenY } = gridToScreen(gridX, gridY, offsetX, offsetY);
+    if (touches.size === 1) {
+      const point = getCanvasPoint(e);
+      const startTile = point && getGridPositionAt(point);
+      stopCameraAnimation();
+      setHoveredTile(timelapse ? null : startTile);
+      touchGestureRef.current = {
+        mode: 'press',
+        startX: e.clientX,
+        startY: e.clientY,
+        startTile,
+        longPress: window.setTimeout(() => inspectAfterLongPress(startTile), LONG_PRESS_MS),
+      };
+    } else if (touches.size === 2 && previous) {
+      // A second finger turns whatever the first one was doing into a pinch
+      setToolDrag(null);
+      setIsDragging(false);
+      stopCameraAnimation();
+      previous.mode = 'pinch';
+      previous.pinch = { ...getPinch(e.currentTarget), camera, zoom };
+    }
+  };
 
-    if (selectedTool.type === 'bulldoze') {
-      const tile = grid[gridY][gridX];
-      // Find the parent tile if this is an occupied tile
-      const parentX = tile.parentX ?? gridX;
-      const parentY = tile.parentY ?? gridY;
-      const parentTile = grid[parentY][parentX];
-
-      if (parentTile.building !== 'grass' && parentTile.building !== 'empty') {
-        if (money >= selectedTool.cost) {
-          setMoney(m => m - selectedTool.cost);
-          soundManager.playBulldoze();
-          addParticles(screenX, screenY, '#ff6b6b', 15);
-
-          // Clear all tiles of the building
-          setGrid(g => {
-            const newGrid = g.map(row => row.map(t => ({ ...t })));
-            // Find and clear all tiles belonging to this building
-            for (let dy = 0; dy < GRID_SIZE; dy++) {
-              for (let dx = 0; dx < GRID_SIZE; dx++) {
-                const t = newGrid[dy][dx];
-                if ((t.parentX === parentX && t.parentY === parentY) || (dx === parentX && dy === parentY)) {
-                  newGrid[dy][dx] = { building: 'grass', occupied: false };
-                }
-              }
-            }
-            return newGrid;
-          });
-        }
-      }
-    } else {
-      const size = selectedTool.size;
-      if (canPlace(gridX, gridY, size) && money >= selectedTool.cost) {
-        setMoney(m => m - selectedTool.cost);
-        soundManager.playPlace(selectedTool.type);
-
-        // Add particles at center of building
-        const centerX = gridX + size / 2 - 0.5;
-        const centerY = gridY + size / 2 - 0.5;
-        const { screenX: particleX, screenY: particleY } = gridToScreen(centerX, centerY, offsetX, offsetY);
-        addParticles(particleX, particleY - 30, '#4ade80', 18);
-
-        setGrid(g => {
-          const newGrid = g.map(row => row.map(t => ({ ...t })));
-          const now = Date.now();
-
-          // Set parent tile
-          newGrid[gridY][gridX] = {
-            building: selectedTool.type as BuildingType,
-            occupied: false,
-            placedAt: now,
-          };
-
-          // Mark other tiles as occupied
-          for (let dy = 0; dy < size; dy++) {
-            for (let dx = 0; dx < size; dx++) {
-              if (dx === 0 && dy === 0) continue;
-              newGrid[gridY + dy][gridX + dx] = {
-                building: 'grass',
-                occupied: true,
-                parentX: gridX,
-                parentY: gridY,
-              };
-            }
-          }
-          return newGrid;
-        });
-      } else if (money < selectedTool.cost) {
-        soundManager.playError();
-        addParticles(screenX, screenY, '#ef4444', 8);
+  const handlePointerMove = (e: React.PointerEvent<HTMLCanvasElement>) => {
+    const touches = touchesRef.current;
+    const gesture = touchGestureRef.current;
+    if (e.pointerType === 'mouse' || !gesture || !touches.has(e.pointerId)) return;
+    touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (gesture.mode === 'pinch' && gesture.pinch && touches.size === 2) {
+      // Zoom by the change in finger distance and keep the map point that was
+      // under the pinch centre under it, which also pans with both fingers
+      const canvas = e.currentTarget;
+      const start = gesture.pinch;
+      const current = getPinch(canvas);
+      const nextZoom = clampZoom(start.zoom * current.distance / start.distance);
+      setZoom(nextZoom);
+      setCamera({
+        x: start.camera.x + (current.centerX - canvas.width / 2) / nextZoom - (start.centerX - canvas.width / 2) / start.zoom,
+        y: start.camera.y + (current.centerY - canvas.height / 2) / nextZoom - (start.centerY - canvas.height / 2) / start.zoom,
+      });
+      return;
+    }
+
+    if (gesture.mode === 'press' && Math.hypot(e.clientX - gesture.startX, e.clientY - gesture.startY) > TAP_SLOP) {
+      window.clearTimeout(gesture.longPress);
+      if (paintsOnDrag && gesture.startTile && !moving) {
+        gesture.mode = 'paint';
+        setToolDrag({ start: gesture.startTile, end: gesture.startTile });
       } else {
+        gesture.mode = 'pan';
+        startPan(gesture.startX, gesture.startY);
+        return;
+      }
+    }
+
+    if (gesture.mode === 'pan' && isDragging) {
+      panCamera(e.clientX, e.clientY);
+    } else if (gesture.mode === 'paint') {
+      const pos = getGridPosition(e);
+      if (!pos) return;
+      setHoveredTile(pos);
+      setToolDrag(drag => drag && (drag.end.x !== pos.x || drag.end.y !== pos.y) ? { start: drag.start, end: pos } : drag);
+    }
+  };
+
+  const handlePointerUp = (e: React.PointerEvent<HTMLCanvasElement>) => {
+    const touches = touchesRef.current;
+    if (e.pointerType === 'mouse' || !touches.delete(e.pointerId)) return;
+    const gesture = touchGestureRef.current;
+    if (!gesture) return;
+    window.clearTimeout(gesture.longPress);
+
+    // After a pinch the remaining finger does nothing until every finger is up
+    if (gesture.mode === 'pinch' || touches.size > 0) {
+      gesture.mode = 'done';
+      if (touches.size === 0) touchGestureRef.current = null;
+      return;
+    }
+
+    touchGestureRef.current = null;
+    setHoveredTile(null);
+    if (gesture.mode === 'press' && gesture.startTile) tapTile(gesture.startTile);
+    else if (gesture.mode === 'pan') releasePan();
+    else if (gesture.mode === 'paint') commitToolDrag();
+  };
+
+  const handlePointerCancel = (e: React.PointerEvent<HTMLCanvasElement>) => {
+    if (e.pointerType === 'mouse') return;
+    const gesture = touchGestureRef.current;
+    if (gesture) window.clearTimeout(gesture.longPress);
+    touchesRef.current.clear();
+    touchGestureRef.current = null;
+    setHoveredTile(null);
+    setIsDragging(false);
+    setToolDrag(null);
+  };
+
+  // Store the city in a slot; returns whether storage accepted it
+  const saveCity = (id: string, name: string): boolean => {
+    const slots = writeSave(id, createSave(name), renderThumbnail(grid));
+    if (!slots) {
+      setFileError(`Could not save ${name}: browser storage is full`);
+      soundManager.playError();
+      return false;
+    }
+    setSaveSlots(slots);
+    setFileError(null);
+    return true;
+  };
+
+  const handleSaveCity = (): boolean => {
+    const name = saveName.trim() || `City ${saveSlots.filter(s => s.id !== AUTOSAVE_ID).length + 1}`;
+    const id = `slot-${Date.now()}`;
+    if (!saveCity(id, name)) return false;
+    setActiveSave({ id, name });
+    setSaveName('');
+    return true;
+  };
+
+  // Save over the active city, or as a new one when there isn't one
+  const quickSave = () => {
+    const saved = activeSave ? saveCity(activeSave.id, activeSave.name) : handleSaveCity();
+    if (saved) soundManager.playSelect();
+  };
+
+  const handleDeleteSave = (id: string) => {
+    setSaveSlots(deleteSave(id));
+    if (activeSave?.id === id) setActiveSave(null);
+  };
+
+  const handleExportCity = () => {
+    const data = createCityExport(grid, money, selectedTheme.id);
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `new-city-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleExportImage = () => {
+    const canvas = renderCityImage(displayGrid, sortedBuildings, sprites, groundCacheRef.current, groundSignatures, imageExport, atlas);
+    canvas.toBlob(blob => {
+      if (!blob) {
         soundManager.playError();
+        return;
       }
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `new-city-${new Date().toISOString().slice(0, 10)}@${imageExport.scale}x.png`;
+      link.click();
+      URL.revokeObjectURL(url);
+    }, 'image/png');
+    setShowImageExport(false);
+  };
+
+  const openTimelapse = () => {
+    setMoving(null);
+    setInspected(null);
+    setToolDrag(null);
+    setHoveredTile(null);
+    replayRef.current = null;
+    setTimelapse({ step: 0, playing: true, speed: timelapse?.speed ?? TIMELAPSE_SPEEDS[2] });
+  };
+
+  const closeTimelapse = () => {
+    recorderRef.current?.stop();
+    replayRef.current = null;
+    setTimelapse(null);
+  };
+
+  // Playing from the end starts over
+  const toggleTimelapsePlaying = () => {
+    if (!timelapse) return;
+    const restart = !timelapse.playing && timelapse.step >= timelapseLog.length;
+    setTimelapse({ ...timelapse, step: restart ? 0 : timelapse.step, playing: !timelapse.playing });
+  };
+
+  // Advance one step at a time while playing, stopping at the end of the log
+  useEffect(() => {
+    if (!timelapse?.playing) return;
+    const timer = window.setTimeout(() => {
+      setTimelapse(t => t && (t.step >= timelapseLog.length ? { ...t, playing: false } : { ...t, step: t.step + 1 }));
+    }, 1000 / timelapse.speed);
+    return () => window.clearTimeout(timer);
+  }, [timelapse, timelapseLog.length]);
+
+  // Record the canvas while the timelapse plays from the start, then download
+  // the video once playback ends or is stopped
+  const startRecording = () => {
+    const canvas = canvasRef.current;
+    const mimeType = typeof MediaRecorder === 'undefined'
+      ? undefined
+      : ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+    if (!canvas || !timelapse || !mimeType) {
+      soundManager.playError();
+      return;
     }
+
+    const recorder = new MediaRecorder(canvas.captureStream(TIMELAPSE_FPS), { mimeType });
+    const chunks: Blob[] = [];
+    recorder.ondataavailable = e => {
+      if (e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+      recorderRef.current = null;
+      setRecording(false);
+      const url = URL.createObjectURL(new Blob(chunks, { type: 'video/webm' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `new-city-timelapse-${new Date().toISOString().slice(0, 10)}.webm`;
+      link.click();
+      URL.revokeObjectURL(url);
+    };
+    recorder.start();
+    recorderRef.current = recorder;
+    setRecording(true);
+    replayRef.current = null;
+    setTimelapse({ ...timelapse, step: 0, playing: true });
   };
 
-  const handleContextMenu = (e: React.MouseEvent) => e.preventDefault();
+  // Give the last buildings time to drop in before the recording ends
+  useEffect(() => {
+    if (!recording || timelapse?.playing) return;
+    const timer = window.setTimeout(() => recorderRef.current?.stop(), 500);
+    return () => window.clearTimeout(timer);
+  }, [recording, timelapse?.playing]);
+
+  // Pixel size of the export with the current options, for the dialog
+  const imageExportSize = useMemo(() => {
+    if (!showImageExport) return null;
+    const bounds = getImageBounds(displayGrid, sortedBuildings, sprites, imageExport.wholeMap, atlas);
+    return IMAGE_EXPORT_SCALES.map(scale => {
+      const actual = getImageScale(bounds, scale);
+      return { scale, width: Math.ceil(bounds.width * actual), height: Math.ceil(bounds.height * actual), reduced: actual < scale };
+    });
+  }, [showImageExport, displayGrid, sortedBuildings, sprites, atlas, imageExport.wholeMap]);
+
+  const handleImportCity = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const city = parseCityExport(await file.text());
+      // The player would otherwise replay the new log from the old city's grid
+      closeTimelapse();
+      autosavePendingRef.current = true;
+      setUndoStack([]);
+      setRedoStack([]);
+      noteSortChanges(null);
+      setGrid(city.grid);
+      setTimelapseLog(seedTimelapse(getBuildingsFromGrid(city.grid), Date.now(), getZonesFromGrid(city.grid)));
+      setMoney(city.money);
+      setSelectedTheme(THEMES.find(t => t.id === city.themeId) || THEMES[0]);
+      setActiveSave(null);
+      setFileError(null);
+    } catch (err) {
+      setFileError(`Could not import ${file.name}: ${err instanceof Error ? err.message : err}`);
+      soundManager.playError();
+    }
+  };
+
+  const handleLoadCity = (id: string) => {
+    const save = readSave(id);
+    if (save) {
+      closeTimelapse();
+      applySave(save);
+      setActiveSave(id === AUTOSAVE_ID ? null : { id, name: save.name });
+      setShowSaveDialog(false);
+    } else {
+      soundManager.playError();
+    }
+  };
 
   const handleThemeChange = async (themeId: string) => {
     await initSound();
@@ -716,7 +4293,8 @@ export default function Game() {
     commercial: 'Commercial',
     industrial: 'Industrial',
     services: 'Services',
-    parks: 'Parks & Nature',
+    parks: 'Parks & Recreation',
+    transport: 'Transport',
     tools: 'Tools',
   };
 
@@ -726,19 +4304,108 @@ export default function Game() {
         <div className="money-display">
           <h2>Money</h2>
           <div className="amount">${money.toLocaleString()}</div>
+          <div className={`net-income ${economy.net < 0 ? 'negative' : ''}`}>
+            {economy.net < 0 ? '-' : '+'}${Math.abs(economy.net).toLocaleString()} / tick
+          </div>
+          <div className="stat">Population {economy.population.toLocaleString()}</div>
+          <div className="stat">Happiness {economy.happiness}%</div>
+          <div className="stat">Jobs {economy.jobs.toLocaleString()}</div>
+          {UTILITIES.map(utility => {
+            const { supply, demand } = economy.utilities[utility.id];
+            return (
+              <div key={utility.id} className={`stat ${demand > supply ? 'short' : ''}`}>
+                {utility.icon} {utility.name} {demand.toLocaleString()} / {supply.toLocaleString()}
+              </div>
+            );
+          })}
         </div>
 
         <button
           className={`music-btn ${musicPlaying ? 'playing' : ''}`}
-          onClick={async () => {
-            await initSound();
-            const isPlaying = soundManager.toggleMusic();
-            setMusicPlaying(isPlaying);
-          }}
+          onClick={toggleMusic}
+          title={getKeyHint('music')}
         >
           {musicPlaying ? '♪ Music On' : '♪ Music Off'}
         </button>
 
+        <div className="sidebar-row">
+          <button className="sidebar-btn" onClick={undo} disabled={undoStack.length === 0 || !!timelapse} title={getKeyHint('undo')}>
+            ↶ Undo
+          </button>
+          <button className="sidebar-btn" onClick={redo} disabled={redoStack.length === 0 || !!timelapse} title={getKeyHint('redo')}>
+            ↷ Redo
+          </button>
+        </div>
+
+        <div className="sidebar-row">
+          <button className="sidebar-btn" onClick={() => setShowSaveDialog(true)}>Load city</button>
+          <button className="sidebar-btn" onClick={() => setShowKeyBindings(true)}>Key bindings</button>
+        </div>
+        <div className="sidebar-row">
+          <button className="sidebar-btn" onClick={handleExportCity}>Export city</button>
+          <button className="sidebar-btn" onClick={() => importInputRef.current?.click()}>Import city</button>
+        </div>
+        <div className="sidebar-row">
+          <button className="sidebar-btn" onClick={() => setShowImageExport(true)} disabled={!spritesLoaded}>
+            Export image
+          </button>
+          <button
+            className={`sidebar-btn ${timelapse ? 'active' : ''}`}
+            onClick={timelapse ? closeTimelapse : openTimelapse}
+            disabled={timelapseLog.length === 0}
+          >
+            Timelapse
+          </button>
+        </div>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImportCity}
+          hidden
+        />
+        {fileError && (
+          <div className="error-message" onClick={() => setFileError(null)} title="Dismiss">
+            {fileError}
+          </div>
+        )}
+
+        <div className="demand-meter">
+          <label>Demand</label>
+          <div className="demand-bars">
+            {ZONES.map(zone => {
+              const value = economy.demand[zone.id];
+              return (
+                <div key={zone.id} className="demand-bar" title={`${zone.name} demand ${Math.round(value * 100)}%`}>
+                  <div className="demand-track">
+                    <div
+                      className={`demand-fill ${value < 0 ? 'negative' : ''}`}
+                      style={{ background: `rgb(${zone.color})`, height: `${Math.abs(value) * 50}%` }}
+                    />
+                  </div>
+                  <span>{zone.letter}</span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        <div className="coverage-overlay">
+          <label>Coverage overlay</label>
+          <div className="coverage-options">
+            {SERVICES.map(service => (
+              <button
+                key={service.id}
+                className={`sidebar-btn ${coverageOverlay === service.id ? 'active' : ''}`}
+                onClick={() => setCoverageOverlay(coverageOverlay === service.id ? null : service.id)}
+              >
+                <span className="coverage-swatch" style={{ background: `rgb(${service.color})` }} />
+                {service.name}
+              </button>
+            ))}
+          </div>
+        </div>
+
         <div className="theme-grid">
           <label>Theme</label>
           <div className="theme-options">
@@ -764,18 +4431,43 @@ export default function Game() {
           <div key={category} className="tool-section">
             <h3>{categoryNames[category]}</h3>
             {tools.map(tool => (
-              <button
-                key={tool.type}
-                className={`tool-btn ${selectedTool.type === tool.type ? 'selected' : ''} ${tool.type === 'bulldoze' ? 'bulldoze' : ''}`}
-                onClick={async () => {
-                  await initSound();
-                  setSelectedTool(tool);
-                }}
-                disabled={money < tool.cost && tool.type !== 'bulldoze'}
-              >
-                <span>{tool.name}</span>
-                <span className="cost">${tool.cost}{tool.size > 1 ? ` (${tool.size}x${tool.size})` : ''}</span>
-              </button>
+              <Fragment key={tool.type}>
+                <button
+                  className={`tool-btn ${selectedTool.type === tool.type ? 'selected' : ''} ${tool.type === 'bulldoze' ? 'bulldoze' : ''}`}
+                  onClick={() => selectTool(tool)}
+                  disabled={money < tool.cost && tool.type !== 'bulldoze'}
+                  title={getKeyHint(`tool:${tool.type}`)}
+                >
+                  <span>{tool.name}</span>
+                  <span className="cost">
+                    ${tool.cost}{tool.size > 1 ? ` (${tool.size}x${tool.size})` : ''}{isZoneTool(tool.type) && tool.cost > 0 ? ' / tile' : ''}
+                  </span>
+                </button>
+                {selectedTool.type === tool.type && isBuildingType(tool.type) && atlas?.variants[tool.type] && (
+                  <div className="style-grid">
+                    <label>Style</label>
+                    <div className="style-options">
+                      <button
+                        className={`style-card ${!selectedTool.variant ? 'selected' : ''}`}
+                        onClick={() => selectTool(tool)}
+                        title={`${tool.name} (theme)`}
+                      >
+                        {sprites[tool.sprite] && <img src={sprites[tool.sprite].src} alt={tool.name} />}
+                      </button>
+                      {atlas.variants[tool.type]!.map(frame => (
+                        <button
+                          key={frame.id}
+                          className={`style-card ${selectedTool.variant === frame.id ? 'selected' : ''}`}
+                          onClick={() => selectTool({ ...tool, variant: frame.id })}
+                          title={frame.name}
+                        >
+                          <img src={frame.thumbnail} alt={frame.name} />
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </Fragment>
             ))}
           </div>
         ))}
@@ -787,18 +4479,363 @@ export default function Game() {
         )}
         <canvas
           ref={canvasRef}
-          onClick={handleClick}
           onMouseDown={handleMouseDown}
           onMouseMove={handleMouseMove}
           onMouseUp={handleMouseUp}
-          onMouseLeave={handleMouseUp}
+          onMouseLeave={handleMouseLeave}
           onContextMenu={handleContextMenu}
           onWheel={handleWheel}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerCancel}
         />
-        <div className="instructions">
-          <kbd>Click</kbd> place · <kbd>Right-drag</kbd> pan · <kbd>Scroll</kbd> zoom
+        {inspectedBuilding && (
+          <div className="inspector">
+            <div className="inspector-header">
+              <h3>{getToolName(inspectedBuilding.type)}</h3>
+              <button className="inspector-close" onClick={() => setInspected(null)} title="Close">×</button>
+            </div>
+            <dl>
+              <dt>Footprint</dt>
+              <dd>
+                {getToolSize(inspectedBuilding.type as BuildingType)}x{getToolSize(inspectedBuilding.type as BuildingType)} at
+                ({inspectedBuilding.x}, {inspectedBuilding.y})
+              </dd>
+              <dt>Built</dt>
+              <dd>{inspectedBuilding.placedAt ? new Date(inspectedBuilding.placedAt).toLocaleString() : 'Unknown'}</dd>
+              <dt>Cost paid</dt>
+              <dd>{inspectedBuilding.cost !== undefined ? `$${inspectedBuilding.cost.toLocaleString()}` : 'Unknown'}</dd>
+              {inspectedBuilding.variant && atlas?.frames[inspectedBuilding.variant] && (
+                <>
+                  <dt>Style</dt>
+                  <dd>{atlas.frames[inspectedBuilding.variant].name}</dd>
+                </>
+              )}
+              {inspectedLevels && (
+                <>
+                  <dt>Level</dt>
+                  <dd>{inspectedLevels[inspectedLevel - 1].name} ({inspectedLevel} of {inspectedLevels.length})</dd>
+                </>
+              )}
+              {inspectedLevels && inspectedReport?.upgrade && (
+                <>
+                  <dt>Next level</dt>
+                  <dd className={inspectedReport.upgrade.length > 0 ? 'warning' : 'positive'}>
+                    {inspectedLevels[inspectedLevel].name}
+                    {inspectedReport.upgrade.length > 0 ? `, blocked by ${inspectedReport.upgrade.join(', ')}` : ', growing'}
+                  </dd>
+                </>
+              )}
+              {inspectedBuilding.state === 'construction' && (
+                <>
+                  <dt>Status</dt>
+                  <dd className="warning">
+                    Under construction
+                    {inspectedBuilding.placedAt ? ` until ${new Date(inspectedBuilding.placedAt + CONSTRUCTION_MS).toLocaleTimeString()}` : ''}
+                  </dd>
+                </>
+              )}
+              {inspectedReport && inspectedBuilding.state !== 'construction' && (inspectedBuilding.state === 'abandoned' || inspectedReport.neglect.length > 0) && (
+                <>
+                  <dt>Status</dt>
+                  <dd className={inspectedBuilding.state === 'abandoned' ? 'negative' : 'warning'}>
+                    {inspectedBuilding.state === 'abandoned' ? 'Abandoned' : 'Neglected'}
+                    {inspectedReport.neglect.length > 0 ? `: ${inspectedReport.neglect.join(', ')}` : ', recovering'}
+                  </dd>
+                </>
+              )}
+              {inspectedReport && inspectedReport.residents > 0 && (
+                <>
+                  <dt>Residents</dt>
+                  <dd>{inspectedReport.residents}</dd>
+                  <dt>Happiness</dt>
+                  <dd>{inspectedReport.happiness}%</dd>
+                  {inspectedReport.coverage && SERVICES.map(service => (
+                    <Fragment key={service.id}>
+                      <dt>{service.name}</dt>
+                      <dd>{Math.round(inspectedReport.coverage![service.id] * 100)}% covered</dd>
+                    </Fragment>
+                  ))}
+                </>
+              )}
+              {inspectedReport && (inspectedReport.income > 0 || inspectedReport.upkeep > 0) && (
+                <>
+                  <dt>Income</dt>
+                  <dd className={inspectedReport.income - inspectedReport.upkeep < 0 ? 'negative' : 'positive'}>
+                    {inspectedReport.income - inspectedReport.upkeep < 0 ? '-' : '+'}$
+                    {Math.abs(inspectedReport.income - inspectedReport.upkeep)} / tick
+                  </dd>
+                </>
+              )}
+              {inspectedReport && inspectedReport.homesServed > 0 && (
+                <>
+                  <dt>Happiness</dt>
+                  <dd>
+                    {BUILDING_STATS[inspectedBuilding.type].happiness > 0 ? '+' : ''}
+                    {BUILDING_STATS[inspectedBuilding.type].happiness} for {inspectedReport.homesServed} homes
+                    {getServiceOf(inspectedBuilding.type)
+                      ? ` up to ${BUILDING_STATS[inspectedBuilding.type].range} tiles ${inspectedReport.connected ? 'by road' : 'away'}`
+                      : ` within ${BUILDING_STATS[inspectedBuilding.type].range} tiles`}
+                  </dd>
+                </>
+              )}
+              {inspectedReport && UTILITIES.map(utility => {
+                const supply = utility.supply[inspectedBuilding.type as BuildingType];
+                const need = (UTILITY_DEMAND[inspectedBuilding.type as BuildingType]?.[utility.id] || 0) *
+                  (getDensityLevel(inspectedBuilding.type as BuildingType, inspectedBuilding.level)?.factor ?? 1);
+                if (!supply && !need) return null;
+                const missing = inspectedReport.unserved.includes(utility.id);
+                return (
+                  <Fragment key={utility.id}>
+                    <dt>{utility.name}</dt>
+                    <dd className={missing ? 'negative' : ''}>
+                      {supply ? `Supplies ${supply}` : missing ? `No ${utility.name.toLowerCase()} (needs ${need})` : `Uses ${need}`}
+                    </dd>
+                  </Fragment>
+                );
+              })}
+              {inspectedReport && (
+                <>
+                  <dt>Road access</dt>
+                  <dd>{inspectedReport.connected ? 'Yes' : 'No'}</dd>
+                  <dt>Land value</dt>
+                  <dd>{inspectedReport.landValue}</dd>
+                </>
+              )}
+            </dl>
+            <div className="inspector-actions">
+              <button className="danger" onClick={demolishInspected}>Demolish ${BULLDOZE_TOOL.cost}</button>
+              <button onClick={() => setMoving(moving ? null : inspectedBuilding)} className={moving ? 'active' : ''}>Move</button>
+              <button onClick={rotateInspected} title="Mirror the building in place">Rotate</button>
+              <button onClick={() => setShowReplace(r => !r)} className={showReplace ? 'active' : ''}>Replace</button>
+            </div>
+            {showReplace && (
+              <div className="inspector-replace">
+                {TOOLS.filter(t => isBuildingType(t.type) && t.type !== 'road' && t.type !== inspectedBuilding.type).map(tool => {
+                  const fits = isAreaFree(grid, inspectedBuilding.x, inspectedBuilding.y, tool.size, inspectedBuilding);
+                  return (
+                    <button
+                      key={tool.type}
+                      onClick={() => replaceInspected(tool)}
+                      disabled={!fits || money < tool.cost + BULLDOZE_TOOL.cost}
+                      title={fits ? undefined : 'Does not fit here'}
+                    >
+                      {tool.name} <span className="cost">${tool.cost + BULLDOZE_TOOL.cost}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        )}
+        <div className="minimap">
+          <canvas
+            ref={minimapRef}
+            width={GRID_SIZE * 4}
+            height={GRID_SIZE * 2}
+            onMouseDown={e => {
+              setMinimapDragging(true);
+              jumpToMinimapPoint(e);
+            }}
+            onMouseMove={e => minimapDragging && jumpToMinimapPoint(e)}
+            onMouseUp={() => setMinimapDragging(false)}
+            onMouseLeave={() => setMinimapDragging(false)}
+          />
         </div>
+        {timelapse && (
+          <div className="timelapse-player">
+            <button onClick={toggleTimelapsePlaying} disabled={recording}>
+              {timelapse.playing ? '❚❚' : '▶'}
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={timelapseLog.length}
+              value={timelapse.step}
+              disabled={recording}
+              onChange={e => setTimelapse({ ...timelapse, step: Number(e.target.value), playing: false })}
+            />
+            <span className="timelapse-step">
+              {timelapse.step} / {timelapseLog.length}
+              <span className="timelapse-time">
+                {timelapse.step > 0 ? new Date(timelapseLog[timelapse.step - 1].time).toLocaleString() : 'Empty map'}
+              </span>
+            </span>
+            <select
+              value={timelapse.speed}
+              disabled={recording}
+              onChange={e => setTimelapse({ ...timelapse, speed: Number(e.target.value) })}
+            >
+              {TIMELAPSE_SPEEDS.map(speed => (
+                <option key={speed} value={speed}>{speed} steps/s</option>
+              ))}
+            </select>
+            <button
+              className={recording ? 'danger' : ''}
+              onClick={recording ? () => recorderRef.current?.stop() : startRecording}
+            >
+              {recording ? '■ Stop' : '● Record WebM'}
+            </button>
+            <button className="inspector-close" onClick={closeTimelapse}>×</button>
+          </div>
+        )}
+        {showHelp ? (
+          <div className="instructions help-overlay">
+            <div className="help-header">
+              <h3>Controls</h3>
+              <button className="inspector-close" onClick={() => setShowHelp(false)}>×</button>
+            </div>
+            <div className="help-row"><span><kbd>Click</kbd> / <kbd>Drag</kbd></span><span>Build or bulldoze</span></div>
+            <div className="help-row"><span><kbd>Right-drag</kbd></span><span>Pan</span></div>
+            <div className="help-row"><span><kbd>Scroll</kbd></span><span>Zoom</span></div>
+            <div className="help-row"><span><kbd>Tap</kbd> / <kbd>Pinch</kbd> / <kbd>Hold</kbd></span><span>Build, zoom, inspect</span></div>
+            {KEY_ACTIONS.filter(action => keyBindings[action.id]?.length).map(action => (
+              <div key={action.id} className="help-row">
+                <span>{keyBindings[action.id].map(combo => <kbd key={combo}>{formatKeyCombo(combo)}</kbd>)}</span>
+                <span>{action.label}</span>
+              </div>
+            ))}
+            <button className="help-remap" onClick={() => setShowKeyBindings(true)}>Remap keys</button>
+          </div>
+        ) : (
+          <button className="instructions" onClick={() => setShowHelp(true)}>
+            {keyBindings.help?.length ? <>Press <kbd>{formatKeyCombo(keyBindings.help[0])}</kbd> for controls</> : 'Show controls'}
+          </button>
+        )}
       </div>
+
+      {showImageExport && (
+        <div className="dialog-backdrop" onClick={() => setShowImageExport(false)}>
+          <div className="dialog" onClick={e => e.stopPropagation()}>
+            <h2>Export image</h2>
+            <div className="export-scales">
+              {imageExportSize?.map(({ scale, width, height, reduced }) => (
+                <button
+                  key={scale}
+                  className={imageExport.scale === scale ? 'active' : ''}
+                  onClick={() => setImageExport(options => ({ ...options, scale }))}
+                  title={reduced ? 'Reduced to fit the largest image the browser can create' : undefined}
+                >
+                  {scale}x
+                  <span className="export-size">{width}×{height}{reduced ? '*' : ''}</span>
+                </button>
+              ))}
+            </div>
+            <label className="export-option">
+              <input
+                type="checkbox"
+                checked={imageExport.background}
+                onChange={e => setImageExport(options => ({ ...options, background: e.target.checked }))}
+              />
+              Background (transparent when off)
+            </label>
+            <label className="export-option">
+              <input
+                type="checkbox"
+                checked={imageExport.wholeMap}
+                onChange={e => setImageExport(options => ({ ...options, wholeMap: e.target.checked }))}
+              />
+              Whole map, not just the built area
+            </label>
+            <div className="dialog-actions">
+              <button onClick={() => setShowImageExport(false)}>Cancel</button>
+              <button onClick={handleExportImage}>Download PNG</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showKeyBindings && (
+        <div className="dialog-backdrop" onClick={closeKeyBindings}>
+          <div className="dialog" onClick={e => e.stopPropagation()}>
+            <h2>Key bindings</h2>
+            <div className="binding-list">
+              {KEY_ACTIONS.map(action => {
+                const keys = keyBindings[action.id] || [];
+                // The slot past the last key is shown while a key is being added, or when there are none
+                const adding = rebinding?.actionId === action.id && rebinding.slot === keys.length;
+                const slots = adding || keys.length === 0 ? [...keys, ''] : keys;
+                return (
+                  <div key={action.id} className="binding-row">
+                    <span>{action.label}</span>
+                    <div className="binding-keys">
+                      {slots.map((combo, slot) => {
+                        const active = rebinding?.actionId === action.id && rebinding.slot === slot;
+                        return (
+                          <button key={slot} className={active ? 'active' : ''} onClick={() => setRebinding({ actionId: action.id, slot })}>
+                            {active ? 'Press a key…' : combo ? formatKeyCombo(combo) : 'Unbound'}
+                          </button>
+                        );
+                      })}
+                      <button
+                        className="binding-control"
+                        onClick={() => setRebinding({ actionId: action.id, slot: keys.length })}
+                        disabled={keys.length === 0}
+                        title="Add a key"
+                      >
+                        +
+                      </button>
+                      <button
+                        className="binding-control"
+                        onClick={() => changeActionKeys(action.id, [])}
+                        disabled={keys.length === 0}
+                        title="Clear"
+                      >
+                        ×
+                      </button>
+                      <button
+                        className="binding-control"
+                        onClick={() => changeActionKeys(action.id, action.defaultKeys)}
+                        title={`Default: ${action.defaultKeys.map(formatKeyCombo).join(', ') || 'unbound'}`}
+                      >
+                        ↺
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+            <div className="dialog-actions">
+              <button onClick={resetKeyBindings}>Reset to defaults</button>
+              <button onClick={closeKeyBindings}>Close</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showSaveDialog && (
+        <div className="dialog-backdrop" onClick={() => setShowSaveDialog(false)}>
+          <div className="dialog" onClick={e => e.stopPropagation()}>
+            <h2>Cities</h2>
+            <div className="save-form">
+              <input
+                type="text"
+                placeholder="City name"
+                value={saveName}
+                onChange={e => setSaveName(e.target.value)}
+                onKeyDown={e => e.key === 'Enter' && handleSaveCity()}
+              />
+              <button onClick={handleSaveCity}>Save</button>
+            </div>
+            <div className="save-list">
+              {saveSlots.length === 0 && <div className="save-empty">No saved cities yet</div>}
+              {saveSlots.map(slot => (
+                <div key={slot.id} className="save-slot">
+                  {slot.thumbnail && <img src={slot.thumbnail} alt={slot.name} className="save-thumbnail" />}
+                  <div className="save-info">
+                    <span className="save-name">{slot.name}</span>
+                    <span className="save-date">{new Date(slot.savedAt).toLocaleString()}</span>
+                  </div>
+                  <button onClick={() => handleLoadCity(slot.id)}>Load</button>
+                  <button className="danger" onClick={() => handleDeleteSave(slot.id)}>Delete</button>
+                </div>
+              ))}
+            </div>
+            <button className="dialog-close" onClick={() => setShowSaveDialog(false)}>Close</button>
+          </div>
+        </div>
+      )}
     </div>
   );
 }